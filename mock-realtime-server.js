@@ -0,0 +1,38 @@
+import "dotenv/config";
+import fs from "fs";
+import { createMockRealtimeServer, validateMockScript, DEFAULT_MOCK_SCRIPT } from "./server/mockRealtime.js";
+
+// Runs the fake realtime backend for offline interviews.
+// Usage: node mock-realtime-server.js [script.json]
+//   MOCK_REALTIME_PORT       port to listen on (default 4010)
+//   MOCK_REALTIME_STEP_MS    delay between script steps (default 300)
+//   MOCK_REALTIME_AUTOSTART  1 to play as soon as a connection opens, e.g. for a sideband-only run
+//   MOCK_REALTIME_FAIL       answer every request with this HTTP status, to exercise failover
+// Then start the app with REALTIME_MOCK_URL=http://localhost:4010/v1/realtime and pick the mock
+// provider on a position (or set REALTIME_PROVIDER=mock). The interview page connects over
+// WebSocket, so leave REALTIME_SIDEBAND off for browser runs; the sideband is exercised by posting
+// an offer to /session with MOCK_REALTIME_AUTOSTART=1, as test/mockInterview.test.js does.
+const port = Number(process.env.MOCK_REALTIME_PORT) || 4010;
+
+let script = DEFAULT_MOCK_SCRIPT;
+if (process.argv[2]) {
+  const result = validateMockScript(JSON.parse(fs.readFileSync(process.argv[2], "utf8")));
+  if (result.error) {
+    console.error(result.error);
+    process.exit(1);
+  }
+  script = result.script;
+}
+
+const { server } = createMockRealtimeServer({
+  script,
+  stepDelayMs: Number.isFinite(Number(process.env.MOCK_REALTIME_STEP_MS)) && process.env.MOCK_REALTIME_STEP_MS !== ""
+    ? Number(process.env.MOCK_REALTIME_STEP_MS)
+    : 300,
+  autoStart: process.env.MOCK_REALTIME_AUTOSTART === "1",
+  failStatus: Number(process.env.MOCK_REALTIME_FAIL) || null
+});
+
+server.listen(port, () => {
+  console.log(`Mock realtime backend on http://localhost:${port}/v1/realtime (${script.length} script steps)`);
+});
@@ -0,0 +1,14 @@
+// Guardrail rule ids, shared by the interview page that enforces them and the server that
+// validates position configs and stored incidents. Kept free of DOM and Node APIs.
+
+// Rules a position can switch on or off
+export const GUARDRAIL_RULES = ['question_after_wrap', 'time_reference', 'prompt_leak', 'discriminatory_topic'];
+
+// A position's own off-limits phrases. Not a switch: it applies whenever the list is non-empty.
+export const BLOCKED_PHRASE_RULE = 'blocked_phrase';
+
+// Every rule an incident can be reported under, in the order the page checks them
+export const GUARDRAIL_INCIDENT_RULES = [...GUARDRAIL_RULES, BLOCKED_PHRASE_RULE];
+
+// Used when a position or session predates per-position guardrails
+export const DEFAULT_GUARDRAILS = { rules: [...GUARDRAIL_RULES], blockedPhrases: [] };
@@ -1,3 +1,8 @@
+import { RealtimeSession, OpenAIRealtimeWebRTC, OpenAIRealtimeWebSocket } from '@openai/agents-realtime';
+import { createInterviewAgents } from './interviewAgents.js';
+import { createGuardrailChecker, isGoodbye, GUARDRAIL_STEERING } from './interviewGuardrails.js';
+import { normalizeRealtimeEvent, redactAudioPayloads } from './realtimeEvents.js';
+
 // Extract position/session ID from URL
 const pathParts = window.location.pathname.split('/');
 let interviewSessionId = pathParts[pathParts.length - 1];
@@ -12,55 +17,45 @@ const cameraFeed = document.getElementById('camera-feed');
 const cameraStatus = document.getElementById('camera-status');
 const videoOverlay = document.getElementById('video-overlay');
 const timerText = document.getElementById('timer-text');
+const questionProgress = document.getElementById('question-progress');
+const questionProgressText = document.getElementById('question-progress-text');
 const candidateModal = document.getElementById('candidate-info-modal');
 const candidateForm = document.getElementById('candidate-info-form');
 
 // State variables
-let peerConnection = null;
-let dataChannel = null;
+let realtimeSession = null;
+let closerAgent = null;
 let audioElement = null;
 let cameraStream = null;
 let candidateAudioStream = null;
 let assistantAudioStream = null;
 let combinedRecorder = null;
-let combinedChunks = [];
 let combinedRecordingStopped = null;
 let audioContext = null;
 let isSessionActive = false;
-let sessionPrompt = '';
 let sessionDetails = null;
 let hasSentGreeting = false;
-const USE_AZURE_REALTIME = new URLSearchParams(window.location.search).get('azure') === '1';
-const VAD_CONFIG_DEFAULT = {
-    type: 'semantic_vad',
-    eagerness: 'medium'
-};
-
-const VAD_CONFIG_AZURE = {
-    type: 'semantic_vad',
-    eagerness: 'medium'
-};
-
-// Pricing constants (USD, per 1M tokens unless noted)
-const PRICING_RATES = {
+// Set once the server's sideband is attached to the call
+let serverRunsTools = false;
+// Sideband tool calls the server has not answered yet, by call id. An answer that does not
+// show up in the conversation in time means the sideband dropped, and the page takes over.
+const pendingSidebandCalls = new Map();
+const SIDEBAND_ANSWER_TIMEOUT_MS = 5000;
+const INVITE_TOKEN = new URLSearchParams(window.location.search).get('invite');
+const RESUME_MAX_BYTES = 5 * 1024 * 1024;
+// Used when the session predates per-position realtime profiles
+const DEFAULT_REALTIME_PROFILE = {
     model: 'gpt-realtime-mini',
-    text: {
-        input: 0.6,
-        cachedInput: 0.06,
-        output: 2.4
-    },
-    audio: {
-        input: 10.0,
-        cachedInput: 0.3,
-        output: 20.0
-    },
-    whisperPerMinute: 0.006 // Whisper-1 per minute of user speech
+    voice: 'sage',
+    turnDetection: { type: 'semantic_vad', eagerness: 'medium', silenceDurationMs: null },
+    transcription: { model: 'whisper-1', language: 'en' },
+    noiseReduction: null
 };
 
-// Stopwatch (soft budget: 15m target)
-const INTERVIEW_TARGET_SECONDS = 15 * 60;
-const SOFT_WARNING_SECONDS = 5 * 60;
-const SOFT_ALERT_SECONDS = 15 * 60;
+// Stopwatch colours follow the session's soft duration limit (15m when it has none)
+const DEFAULT_SOFT_LIMIT_SECONDS = 15 * 60;
+// How long to wait for the cancelled response's audio to drain at the hard limit
+const HARD_LIMIT_STOP_TIMEOUT_MS = 8000;
 let stopwatchInterval = null;
 let stopwatchElapsedSeconds = 0;
 let lastTickTimestamp = null;
@@ -69,29 +64,44 @@ let pendingEndInterview = false;
 let outputAudioActive = false;
 let lastAssistantResponseId = null;
 let pendingEndTimeout = null;
-
-// Token and cost tracking
-const tokenUsage = {
-    response: {
-        textInput: 0,
-        audioInput: 0,
-        textOutput: 0,
-        audioOutput: 0,
-        cachedTextInput: 0,
-        cachedAudioInput: 0,
-        seenResponseIds: new Set()
-    },
-    transcription: {
-        totalTokens: 0,
-        audioTokens: 0
-    },
-    speechDurationSeconds: 0
-};
+let responseInFlight = false;
+
+// Set when the server asks us to wind the interview down (e.g. its cost ceiling was reached).
+// The closing request waits for any in-flight response so it doesn't get rejected.
+let wrapUpReason = null;
+let wrapUpSent = false;
+let hardLimitReached = false;
+
+// Output guardrails: each response trips at most once, and a spoken goodbye means any later
+// question counts as a question after the wrap
+let guardrails = null;
+let goodbyeSaid = false;
+const guardrailTrippedResponses = new Set();
+
+// Heartbeats let the server tell a running interview from a closed tab
+const HEARTBEAT_INTERVAL_MS = 15000;
+let heartbeatInterval = null;
+
+// Usage reporting: each response.done and transcription usage block is sent to the server,
+// which prices it from pricing/realtime_rates.json and keeps the session's running cost
+const reportedUsageIds = new Set();
+const speechSecondsByItem = new Map();
+let realtimeModel = null;
 let speechStartTimestamp = null;
+let speechItemId = null;
 let userSpeaking = false;
 let pendingTranscriptSave = null;
 
-// Azure Realtime helpers
+// Structured transcript capture: every finalized conversation item is streamed to the server
+const transcriptItemMeta = new Map();
+const reportedTranscriptText = new Map();
+let transcriptUploadChain = Promise.resolve();
+let lastAssistantItemId = null;
+
+// The server counts primary questions; once the last one is asked the Closer takes over as soon
+// as the candidate starts answering it
+let questionBudgetReached = false;
+
 // Initialize session
 async function initializeSession() {
     if (!interviewSessionId || interviewSessionId === 'interview') {
@@ -111,13 +121,13 @@ async function initializeSession() {
         // Check if this is a position (not a session yet)
         if (data.isPosition) {
             currentPositionId = data.sessionId;
+            await loadInvitation();
             // Show candidate info modal
             candidateModal.classList.remove('hidden');
             return;
         }
 
         // It's an existing session, proceed normally
-        sessionPrompt = data.systemPrompt;
         sessionDetails = data;
         hasSentGreeting = false;
 
@@ -131,41 +141,75 @@ async function initializeSession() {
     }
 }
 
+// Prefill the candidate form from the invitation; the email is fixed by the invite
+async function loadInvitation() {
+    const params = new URLSearchParams({ token: INVITE_TOKEN || '', positionId: currentPositionId });
+    const response = await fetch(`/api/invitation?${params.toString()}`);
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Invalid invitation link');
+    }
+
+    const emailInput = document.getElementById('candidate-email');
+    emailInput.value = data.email;
+    emailInput.readOnly = true;
+    if (data.candidateName) {
+        document.getElementById('candidate-name').value = data.candidateName;
+    }
+}
+
 // Handle candidate info form submission
 candidateForm.addEventListener('submit', async (e) => {
     e.preventDefault();
 
     const candidateName = document.getElementById('candidate-name').value.trim();
-    const candidateEmail = document.getElementById('candidate-email').value.trim();
+    const resumeFile = document.getElementById('candidate-resume').files[0] || null;
 
-    if (!candidateName || !candidateEmail) {
-        alert('Please enter both name and email');
+    if (!candidateName) {
+        alert('Please enter your name');
+        return;
+    }
+
+    // Check the resume before the invitation is spent
+    if (resumeFile && !/\.(pdf|docx|txt)$/i.test(resumeFile.name)) {
+        alert('Please upload your resume as a PDF, DOCX or plain text file');
+        return;
+    }
+    if (resumeFile && resumeFile.size > RESUME_MAX_BYTES) {
+        alert('Your resume is larger than 5 MB; please upload a smaller file');
         return;
     }
 
     try {
-        // Create new interview session
+        // Create new interview session (consumes the invitation)
         const response = await fetch(`/api/position/${currentPositionId}/start-interview`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ candidateName, candidateEmail })
+            body: JSON.stringify({ candidateName, inviteToken: INVITE_TOKEN })
         });
 
         if (!response.ok) {
-            throw new Error('Failed to start interview');
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || 'Failed to start interview');
         }
 
         const { sessionId } = await response.json();
         interviewSessionId = sessionId;
 
+        // The invitation is spent; point the URL at the session so a reload resumes it
+        window.history.replaceState(null, '', `/interview/${sessionId}`);
+
+        if (resumeFile) {
+            await uploadResume(sessionId, resumeFile);
+        }
+
         // Hide modal
         candidateModal.classList.add('hidden');
 
-        // Load the new session
+        // Load the new session's display details; the prompt stays on the server
         const sessionResponse = await fetch(`/api/session/${sessionId}`);
         const session = await sessionResponse.json();
 
-        sessionPrompt = session.systemPrompt;
         sessionDetails = session;
         hasSentGreeting = false;
 
@@ -179,6 +223,24 @@ candidateForm.addEventListener('submit', async (e) => {
     }
 });
 
+// A resume that cannot be read does not block the interview; it just runs without it
+async function uploadResume(sessionId, file) {
+    try {
+        const response = await fetch(`/api/session/${encodeURIComponent(sessionId)}/resume?filename=${encodeURIComponent(file.name)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: file
+        });
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || 'Resume upload failed');
+        }
+    } catch (error) {
+        console.warn('Resume upload failed:', error);
+        alert(`We could not read your resume (${error.message}). The interview will continue without it.`);
+    }
+}
+
 // Initialize camera
 async function initCamera() {
     try {
@@ -197,78 +259,239 @@ async function initCamera() {
     }
 }
 
-async function negotiateWithServer(sdp) {
-    const response = await fetch('/session', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/sdp'
-        },
-        body: sdp
-    });
+function realtimeProfile() {
+    return sessionDetails?.realtimeProfile || DEFAULT_REALTIME_PROFILE;
+}
 
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Server negotiation failed (${response.status}): ${errorText}`);
+function turnDetectionConfig(profile) {
+    const { type, eagerness, silenceDurationMs } = profile.turnDetection;
+    if (type === 'semantic_vad') {
+        return { type, eagerness };
     }
+    return silenceDurationMs ? { type, silence_duration_ms: silenceDurationMs } : { type };
+}
 
-    return response.text();
+function transcriptionConfig(profile) {
+    const { model, language } = profile.transcription;
+    return language ? { model, language } : { model };
 }
 
-async function negotiateDirectly(sdp) {
-    const tokenResponse = await fetch('/token');
-    if (!tokenResponse.ok) {
-        throw new Error('Failed to fetch ephemeral token');
+// The server negotiates the call itself when it runs a sideband
+function usesServerNegotiation() {
+    return !!sessionDetails?.serverNegotiation;
+}
+
+// What the SDK transport connects with. The server picks the provider (failing over if it has
+// to) and says which model and calls URL go with the key.
+async function fetchRealtimeCredentials() {
+    const query = `sessionId=${encodeURIComponent(interviewSessionId)}`;
+    if (usesServerNegotiation()) {
+        // The SDK posts its offer to /session, which uses the server's own key; it still wants one
+        return {
+            apiKey: 'server-negotiated',
+            model: realtimeProfile().model,
+            url: `${window.location.origin}/session?${query}`,
+            insecureKey: true
+        };
     }
 
-    const data = await tokenResponse.json();
-    const EPHEMERAL_KEY = data?.client_secret?.value || data?.value;
-    if (!EPHEMERAL_KEY) {
+    const tokenResponse = await fetch(`/token?${query}`);
+    const data = await tokenResponse.json().catch(() => ({}));
+    if (!tokenResponse.ok) {
+        throw new Error(data.error || 'Failed to fetch ephemeral token');
+    }
+    if (!data.value) {
         throw new Error('Token response missing client secret');
     }
+    console.log(`Realtime provider: ${data.provider}`);
+    return {
+        apiKey: data.value,
+        model: data.model || realtimeProfile().model,
+        url: data.url || undefined,
+        insecureKey: !!data.insecureKey,
+        transport: data.transport || 'webrtc'
+    };
+}
 
-    const baseUrl = "https://api.openai.com/v1/realtime/calls";
-    const model = "gpt-realtime-mini";
-    const sdpResponse = await fetch(`${baseUrl}?model=${model}`, {
-        method: "POST",
-        body: sdp,
-        headers: {
-            Authorization: `Bearer ${EPHEMERAL_KEY}`,
-            "Content-Type": "application/sdp",
-            "OpenAI-Beta": "realtime=v1",
-        },
-    });
-
-    if (!sdpResponse.ok) {
-        const errorText = await sdpResponse.text();
-        throw new Error(errorText || 'Realtime API negotiation failed');
+// Once the call is up, whether the server attached its sideband and so runs the tools itself.
+// A failover to a provider without one leaves them to the page.
+async function checkSidebandAttached() {
+    try {
+        const response = await fetch(`/api/session/${encodeURIComponent(interviewSessionId)}`);
+        const data = await response.json();
+        setServerRunsTools(!!data.sidebandAttached);
+    } catch (error) {
+        console.warn('Could not check for the server sideband:', error);
+        setServerRunsTools(false);
     }
+}
 
-    return sdpResponse.text();
+// Heartbeats keep this current: the sideband may open after the first check or drop mid-call
+function setServerRunsTools(attached) {
+    if (attached === serverRunsTools) return;
+    serverRunsTools = attached;
+    console.log(`Interview tools run ${serverRunsTools ? 'on the server' : 'in the page'}`);
 }
 
-async function getSdpAnswer(sdp) {
-    if (USE_AZURE_REALTIME) {
-        const resp = await fetch('/azure/session', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/sdp' },
-            body: sdp
+// Session-level audio config. The server already applied it when minting the key, but the SDK
+// falls back to its own audio defaults on every session.update unless it is given again.
+function realtimeSessionConfig(profile) {
+    return {
+        audio: {
+            input: {
+                transcription: transcriptionConfig(profile),
+                turnDetection: {
+                    ...turnDetectionConfig(profile),
+                    // Let the candidate talk over the interviewer; the SDK truncates the cut-off reply
+                    createResponse: true,
+                    interruptResponse: true
+                },
+                noiseReduction: profile.noiseReduction ? { type: profile.noiseReduction } : null
+            },
+            output: { voice: profile.voice }
+        }
+    };
+}
+
+// Tools the server runs when the sideband is attached
+const SIDEBAND_TOOLS = ['end_interview', 'record_primary_question', 'mark_question_asked'];
+
+// The server answers a sideband tool call, so the page only updates its own state. Reporting
+// the call again is harmless: the server records each call once.
+function followSidebandToolCall(call, handlers) {
+    let args = {};
+    try {
+        args = JSON.parse(call.arguments || '{}');
+    } catch {
+        console.warn('Unreadable tool call arguments:', call.arguments);
+    }
+    const toolCall = { itemId: call.id, callId: call.callId };
+    // The same outputs the SDK would send if the page ran the tool
+    let output = null;
+    if (call.name === 'end_interview') {
+        handlers.onEndInterview(args.reason || 'Interview completed');
+        output = 'Interview ended';
+    } else if (call.name === 'mark_question_asked') {
+        handlers.onQuestionAsked(args.question_id, toolCall);
+        output = 'Recorded';
+    } else if (call.name === 'record_primary_question') {
+        output = handlers.onPrimaryQuestion(args, toolCall);
+    }
+    awaitSidebandAnswer(call.callId, output);
+}
+
+// If the server's function_call_output never arrives, answer the call from the page and stop
+// leaving tools to the sideband
+function awaitSidebandAnswer(callId, output) {
+    if (!callId || pendingSidebandCalls.has(callId)) return;
+    const timer = setTimeout(async () => {
+        pendingSidebandCalls.delete(callId);
+        console.warn(`Server sideband did not answer tool call ${callId}; answering it from the page`);
+        setServerRunsTools(false);
+        const result = await Promise.resolve(output).catch(() => null);
+        sendEvent({
+            type: 'conversation.item.create',
+            item: { type: 'function_call_output', call_id: callId, output: String(result ?? '') }
         });
-        const txt = await resp.text();
-        if (!resp.ok) {
-            throw new Error(`Azure negotiation failed: ${txt}`);
+    }, SIDEBAND_ANSWER_TIMEOUT_MS);
+    pendingSidebandCalls.set(callId, timer);
+}
+
+function noteSidebandAnswer(item) {
+    if (item?.type !== 'function_call_output') return;
+    const timer = pendingSidebandCalls.get(item.call_id);
+    if (timer) {
+        clearTimeout(timer);
+        pendingSidebandCalls.delete(item.call_id);
+    }
+}
+
+function clearPendingSidebandCalls() {
+    pendingSidebandCalls.forEach(timer => clearTimeout(timer));
+    pendingSidebandCalls.clear();
+}
+
+// Keeps the SDK from running (and answering) the tools the sideband already runs
+function createSidebandTransport(options, handlers) {
+    class SidebandWebRTC extends OpenAIRealtimeWebRTC {
+        emit(type, ...args) {
+            if (type === 'function_call' && serverRunsTools && SIDEBAND_TOOLS.includes(args[0]?.name)) {
+                followSidebandToolCall(args[0], handlers);
+                return true;
+            }
+            return super.emit(type, ...args);
         }
-        return txt;
-    } else {
-        try {
-            return await negotiateWithServer(sdp);
-        } catch (serverError) {
-            console.warn('Server negotiation failed, falling back to direct negotiation', serverError);
-            return await negotiateDirectly(sdp);
+    }
+    return new SidebandWebRTC(options);
+}
+
+function createRealtimeSession(credentials) {
+    const toolHandlers = {
+        onEndInterview: (reason) => {
+            console.log('end_interview tool called:', reason);
+            handleEndInterviewSignal('end_interview');
+        },
+        onQuestionAsked: reportQuestionAsked,
+        onPrimaryQuestion: reportPrimaryQuestion
+    };
+    const { interviewer, closer } = createInterviewAgents({
+        candidateName: sessionDetails?.candidateName?.trim(),
+        jobTitle: sessionDetails?.jobTitle?.trim(),
+        competencies: sessionDetails?.competencies,
+        questionIds: sessionDetails?.questionIds,
+        ...toolHandlers
+    });
+
+    closerAgent = closer;
+
+    const transportOptions = {
+        audioElement,
+        mediaStream: candidateAudioStream,
+        // Some providers' client secrets lack the ek_ prefix the SDK checks for, and /session
+        // needs no key at all
+        useInsecureApiKey: credentials.insecureKey,
+        changePeerConnection: (pc) => {
+            // The SDK owns ontrack for playback; listen alongside it for the recording
+            pc.addEventListener('track', (e) => {
+                console.log('Receiving audio track');
+                if (!assistantAudioStream) {
+                    assistantAudioStream = e.streams[0];
+                    tryStartCombinedRecording();
+                }
+            });
+            return pc;
         }
+    };
+    let transport;
+    if (credentials.transport === 'websocket') {
+        // The offline mock backend: events only, no audio either way, so nothing is recorded
+        transport = new OpenAIRealtimeWebSocket({ useInsecureApiKey: credentials.insecureKey });
+    } else {
+        transport = usesServerNegotiation()
+            ? createSidebandTransport(transportOptions, toolHandlers)
+            : new OpenAIRealtimeWebRTC(transportOptions);
     }
+
+    const profile = realtimeProfile();
+    const session = new RealtimeSession(interviewer, {
+        transport,
+        model: profile.model,
+        config: realtimeSessionConfig(profile)
+    });
+
+    // Raw server events keep driving the transcript, usage reports and end-of-audio tracking
+    transport.on('*', handleServerEvent);
+    session.on('agent_handoff', (_context, fromAgent, toAgent) => {
+        console.log(`Agent handoff: ${fromAgent?.name} -> ${toAgent?.name}`);
+    });
+    session.on('error', (error) => {
+        console.error('Realtime session error:', error);
+    });
+
+    return session;
 }
 
-// Start interview session (using original working approach)
+// Start interview session
 async function startInterview() {
     try {
         startButton.disabled = true;
@@ -282,30 +505,31 @@ async function startInterview() {
         pendingEndInterview = false;
         outputAudioActive = false;
         lastAssistantResponseId = null;
-
-        const pc = new RTCPeerConnection();
-        peerConnection = pc;
+        responseInFlight = false;
+        wrapUpReason = null;
+        wrapUpSent = false;
+        hardLimitReached = false;
+        guardrails = createGuardrailChecker(sessionDetails?.guardrails);
+        goodbyeSaid = false;
+        guardrailTrippedResponses.clear();
+        questionBudgetReached = false;
+        questionProgress.hidden = true;
+        serverRunsTools = false;
+        clearPendingSidebandCalls();
 
         audioElement = document.createElement('audio');
         audioElement.autoplay = true;
-        pc.ontrack = (e) => {
-            audioElement.srcObject = e.streams[0];
-            console.log('Receiving audio track');
-            if (!assistantAudioStream) {
-                assistantAudioStream = e.streams[0];
-                tryStartCombinedRecording();
-            }
-        };
-
-        const ms = await navigator.mediaDevices.getUserMedia({ audio: true });
-        candidateAudioStream = ms;
-        pc.addTrack(ms.getTracks()[0]);
-
-        const dc = pc.createDataChannel('oai-events');
-        dataChannel = dc;
+        candidateAudioStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+
+        const credentials = await fetchRealtimeCredentials();
+        realtimeSession = createRealtimeSession(credentials);
+        // Resolves once the session config (agent, tools, audio) has been applied
+        await realtimeSession.connect({ apiKey: credentials.apiKey, model: credentials.model, url: credentials.url });
+        if (usesServerNegotiation()) {
+            await checkSidebandAttached();
+        }
 
-        dc.addEventListener('open', () => {
-            console.log('Data channel opened');
+        console.log('Realtime session connected');
         isSessionActive = true;
         liveIndicator.textContent = 'LIVE';
         stopButton.disabled = false;
@@ -316,80 +540,19 @@ async function startInterview() {
             method: 'PATCH',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ status: 'in-progress' })
-        }).catch(err => console.warn('Failed to update session status:', err));
-
-            const instructions = `${sessionPrompt}\n\nBehave strictly as the interviewer. Respond only in English. Do NOT answer your own questions; ask, then wait for the candidate to reply. If audio is unclear, ask for clarification.`;
-            const voiceName = 'sage';
-            const sessionConfig = {
-                type: 'realtime',
-                instructions,
-                tools: [
-                    {
-                        type: 'function',
-                        name: 'end_interview',
-                        description: 'Call this function to end the interview. REQUIRED when: (1) all primary questions completed, (2) candidate asks to end/stop, or (3) candidate refuses to continue. IMPORTANT: When calling this function, you MUST ALSO generate a spoken audio message in the same response - do NOT call this function alone without speaking. Your response should contain both audio output AND this function call.',
-                        parameters: {
-                            type: 'object',
-                            properties: {
-                                reason: {
-                                    type: 'string',
-                                    description: 'Brief reason: "Interview completed" OR "Candidate requested to end" OR "All questions asked"'
-                                }
-                            },
-                            required: ['reason']
-                        }
-                    }
-                ]
-            };
-            if (USE_AZURE_REALTIME) {
-                // Azure GA expects audio config under audio.input / audio.output.
-                sessionConfig.audio = {
-                    input: {
-                        transcription: { model: 'whisper-1' },
-                        turn_detection: {
-                            type: 'semantic_vad',
-                            eagerness: 'medium'
-                        }
-                    },
-                    output: { voice: voiceName }
-                };
-            } else {
-                sessionConfig.input_audio_transcription = {
-                    model: 'whisper-1',
-                    language: 'en'
-                };
-                sessionConfig.turn_detection = VAD_CONFIG_DEFAULT;
-                sessionConfig.input_audio_format = 'pcm16';
-                sessionConfig.output_audio_format = 'pcm16';
-                sessionConfig.voice = voiceName;
-            }
-
-            sendEvent({
-                type: 'session.update',
-                session: sessionConfig
-            });
-
-            startStopwatch();
-            triggerInitialGreeting();
-        });
-
-        dc.addEventListener('message', (e) => {
-            const event = JSON.parse(e.data);
-            handleServerEvent(event);
-        });
-
-        dc.addEventListener('close', () => {
-            console.log('Data channel closed');
-        });
-
-        const offer = await pc.createOffer();
-        await pc.setLocalDescription(offer);
-        const remoteSdp = await getSdpAnswer(offer.sdp);
-        const answer = { type: 'answer', sdp: remoteSdp };
-        await pc.setRemoteDescription(answer);
+        }).catch(err => console.warn('Failed to update session status:', err))
+            .then(startHeartbeat);
+        startEventLogUpload();
 
+        startStopwatch();
+        triggerInitialGreeting();
     } catch (error) {
         console.error('Error starting interview:', error);
+        if (realtimeSession) {
+            realtimeSession.close();
+            realtimeSession = null;
+        }
+        releaseMicrophone();
         showError('Failed to start interview: ' + error.message);
         startButton.disabled = false;
         liveIndicator.textContent = 'READY';
@@ -397,6 +560,13 @@ async function startInterview() {
     }
 }
 
+// The transport doesn't stop a media stream it was handed
+function releaseMicrophone() {
+    if (candidateAudioStream) {
+        candidateAudioStream.getTracks().forEach(track => track.stop());
+    }
+}
+
 // Stop interview session
 async function stopInterview() {
     if (pendingEndTimeout) {
@@ -407,21 +577,15 @@ async function stopInterview() {
         return;
     }
     alreadyEnded = true;
-    if (dataChannel) {
-        dataChannel.close();
-        dataChannel = null;
-    }
-
-    if (peerConnection) {
-        peerConnection.getSenders().forEach((sender) => {
-            if (sender.track) {
-                sender.track.stop();
-            }
-        });
-        peerConnection.close();
-        peerConnection = null;
+    if (realtimeSession) {
+        realtimeSession.close();
+        realtimeSession = null;
     }
+    releaseMicrophone();
 
+    stopHeartbeat();
+    clearPendingSidebandCalls();
+    stopEventLogUpload();
     await stopCombinedRecording();
 
     stopStopwatch();
@@ -436,25 +600,23 @@ async function stopInterview() {
     pendingEndInterview = false;
     outputAudioActive = false;
     lastAssistantResponseId = null;
+    responseInFlight = false;
 
-    // Finalize speech duration if someone was mid-turn
-    if (userSpeaking && speechStartTimestamp) {
-        const deltaSeconds = (Date.now() - speechStartTimestamp) / 1000;
-        tokenUsage.speechDurationSeconds += Math.max(deltaSeconds, 0);
-        userSpeaking = false;
-        speechStartTimestamp = null;
-    }
+    userSpeaking = false;
+    speechStartTimestamp = null;
+    speechItemId = null;
 
-    logCostSummary();
+    markSessionCompleted();
     saveTranscriptAndAnalysis();
+    flushEventLog();
     addSystemMessage('Interview session ended');
 }
 
 // Send event to OpenAI
 function sendEvent(event) {
-    if (dataChannel && dataChannel.readyState === 'open') {
+    if (realtimeSession && realtimeSession.transport.status === 'connected') {
         console.log('Sending event:', event.type);
-        dataChannel.send(JSON.stringify(event));
+        realtimeSession.transport.sendEvent(event);
     }
 }
 
@@ -479,23 +641,198 @@ function handleEndInterviewSignal(source = 'unknown') {
     }, 5000);
 }
 
-function triggerInitialGreeting() {
-    if (hasSentGreeting) {
+function requestWrapUp(reason) {
+    if (wrapUpReason || alreadyEnded || !isSessionActive) {
         return;
     }
+    wrapUpReason = reason;
+    console.log(`Wrapping up interview (${reason})`);
+    if (!responseInFlight) {
+        sendWrapUp();
+    }
+}
 
-    const candidateName = sessionDetails?.candidateName?.trim();
-    const jobTitle = sessionDetails?.jobTitle?.trim();
-    const greetingTarget = candidateName || 'the candidate';
-    const roleContext = jobTitle ? ` for the ${jobTitle} role` : '';
-    const guard = 'Respond only in English. Do NOT answer your own questions; ask, then wait for the candidate to reply. If unclear, ask for clarification.';
+// The server reports limits on heartbeats and candidate transcript items:
+// soft -> the interviewer wraps up, hard -> the interview ends now
+function handleInterviewLimit(limit) {
+    if (!limit || alreadyEnded || !isSessionActive) {
+        return;
+    }
+    if (limit.level === 'hard') {
+        enforceHardLimit(limit.reason);
+    } else {
+        requestWrapUp(`soft_limit_${limit.reason}`);
+    }
+}
 
+// Cancels whatever the interviewer is saying and stops once its audio has drained
+function enforceHardLimit(reason) {
+    if (hardLimitReached) {
+        return;
+    }
+    hardLimitReached = true;
+    console.warn(`Hard interview limit reached (${reason})`);
+    if (responseInFlight) {
+        sendEvent({ type: 'response.cancel' });
+    }
+    if (!outputAudioActive) {
+        stopInterview();
+        return;
+    }
+    // The output_audio_buffer.stopped handler stops the interview
+    pendingEndInterview = true;
+    if (pendingEndTimeout) {
+        clearTimeout(pendingEndTimeout);
+    }
+    pendingEndTimeout = setTimeout(() => {
+        if (!alreadyEnded) {
+            stopInterview();
+        }
+    }, HARD_LIMIT_STOP_TIMEOUT_MS);
+}
+
+async function handOffToCloser() {
+    if (!realtimeSession || !closerAgent || realtimeSession.currentAgent === closerAgent) {
+        return;
+    }
+    try {
+        await realtimeSession.updateAgent(closerAgent);
+    } catch (error) {
+        console.warn('Failed to hand off to the closer, wrapping up with the interviewer:', error);
+    }
+}
+
+// Hands over to the Closer and forces the closing turn: a short goodbye plus the end_interview call
+async function sendWrapUp() {
+    if (wrapUpSent || pendingEndInterview || alreadyEnded) {
+        return;
+    }
+    wrapUpSent = true;
+    await handOffToCloser();
     sendEvent({
-        type: "response.create",
+        type: 'response.create',
         response: {
-                            instructions: `${sessionPrompt}\n\nBegin the interview by greeting ${greetingTarget}${roleContext}. Introduce yourself as the AI interviewer, and smoothly transition into the first question. ${guard}`
+            instructions: 'We have to finish the interview now. Do not ask another question. Briefly thank the candidate for their time, tell them the interview is complete and that the team will follow up, then call end_interview.',
+            tool_choice: { type: 'function', name: 'end_interview' }
         }
     });
+}
+
+// The interviewer is closing: a wrap-up was requested, the Closer has taken over or it said goodbye
+function isWrappingUp() {
+    return wrapUpSent || pendingEndInterview || goodbyeSaid ||
+        (!!closerAgent && realtimeSession?.currentAgent === closerAgent);
+}
+
+// Runs the guardrails over an assistant transcript while it streams and once it is complete
+function checkAssistantOutput(itemId, responseId, text, final) {
+    if (!guardrails || !text || alreadyEnded) {
+        return;
+    }
+    const key = responseId || itemId;
+    if (!guardrailTrippedResponses.has(key)) {
+        const violation = guardrails.check(text, { wrappingUp: isWrappingUp() });
+        if (violation) {
+            guardrailTrippedResponses.add(key);
+            handleGuardrailViolation(violation, { itemId, responseId, text });
+        }
+    }
+    if (final && isGoodbye(text)) {
+        goodbyeSaid = true;
+    }
+}
+
+// Cuts the response off and steers the model back. Once the interview is already ending there
+// is nothing to steer; the pending stop finishes it.
+function handleGuardrailViolation(violation, { itemId, responseId, text }) {
+    const ending = pendingEndInterview || hardLimitReached;
+    console.warn(`Guardrail ${violation.rule} tripped: ${violation.detail}`);
+    realtimeSession?.interrupt();
+    reportGuardrailIncident({ ...violation, itemId, responseId, text, action: ending ? 'end' : 'steer' });
+    if (ending) {
+        return;
+    }
+    sendEvent({
+        type: 'conversation.item.create',
+        item: {
+            type: 'message',
+            role: 'system',
+            content: [{ type: 'input_text', text: GUARDRAIL_STEERING[violation.rule] }]
+        }
+    });
+    // The SDK holds this until the cancelled response is done
+    sendEvent({
+        type: 'response.create',
+        response: violation.rule === 'question_after_wrap'
+            ? { tool_choice: { type: 'function', name: 'end_interview' } }
+            : {}
+    });
+}
+
+// The question was spoken in the assistant message just before the tool call
+function reportQuestionAsked(questionId, toolCall) {
+    console.log('Question bank entry asked:', questionId);
+    fetch(`/api/session/${encodeURIComponent(interviewSessionId)}/questions/asked`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            questionId,
+            itemId: lastAssistantItemId,
+            callItemId: toolCall?.itemId || null
+        })
+    }).catch(err => console.warn('Failed to record question coverage:', err));
+}
+
+// Resolves to the note the model gets back from record_primary_question
+async function reportPrimaryQuestion({ question, competency }, toolCall) {
+    try {
+        const response = await fetch(`/api/session/${encodeURIComponent(interviewSessionId)}/primary-questions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                question,
+                competency,
+                itemId: lastAssistantItemId,
+                callItemId: toolCall?.itemId || null
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `status ${response.status}`);
+        }
+        showQuestionProgress(data.count, data.maxQuestions);
+        if (data.budgetReached) {
+            questionBudgetReached = true;
+        }
+        return data.note;
+    } catch (error) {
+        console.warn('Failed to record primary question:', error);
+        return 'Recorded.';
+    }
+}
+
+function showQuestionProgress(count, maxQuestions) {
+    questionProgressText.textContent = maxQuestions
+        ? `Question ${Math.min(count, maxQuestions)} of ${maxQuestions}`
+        : `Question ${count}`;
+    questionProgress.hidden = false;
+}
+
+function reportGuardrailIncident(incident) {
+    fetch(`/api/session/${encodeURIComponent(interviewSessionId)}/guardrail-incidents`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...incident, agent: realtimeSession?.currentAgent?.name || null })
+    }).catch(err => console.warn('Failed to report guardrail incident:', err));
+}
+
+function triggerInitialGreeting() {
+    if (hasSentGreeting) {
+        return;
+    }
+
+    // The server-side instructions say how to open, so the first response needs nothing extra
+    sendEvent({ type: "response.create" });
 
     hasSentGreeting = true;
 }
@@ -513,216 +850,113 @@ function handleServerEvent(event) {
         : JSON.parse(JSON.stringify(event));
     window.__evtLog.push({ ts: Date.now(), type: event.type, event: clonedEvent });
 
-    const extractItemText = (item = {}) => {
-        const content =
-            item.content?.find?.(c => c.type === 'text') ||
-            item.content?.find?.(c => c.type === 'input_text') ||
-            item.content?.find?.(c => c.type === 'output_text') ||
-            item.content?.find?.(c => c.type === 'audio' && typeof c.transcript === 'string' && c.transcript.length) ||
-            item.content?.find?.(c => c.type === 'input_audio' && typeof c.transcript === 'string' && c.transcript.length) ||
-            item.content?.find?.(c => typeof c.transcript === 'string' && c.transcript.length);
-        return content?.text || content?.transcript || '';
-    };
-
-    switch (event.type) {
-        case 'conversation.item.created': {
-            const item = event.item;
-            if (!item?.id || !item?.role) break;
-            const text = extractItemText(item);
-            upsertMessage(item.id, item.role, text);
-            if (item.role === 'assistant') {
-                currentAssistantItemId = item.id;
-                currentUserItemId = null;
-            } else if (item.role === 'user') {
-                currentUserItemId = item.id;
-            }
-            break;
-        }
+    normalizeRealtimeEvent(event).forEach(handleRealtimeEvent);
+}
 
-        case 'conversation.item.added':
-        case 'conversation.item.done': {
-            const item = event.item;
-            if (!item?.id || !item?.role) break;
-            const text = extractItemText(item);
-            upsertMessage(item.id, item.role, text);
-            if (item.role === 'assistant') {
-                currentAssistantItemId = item.id;
-                currentUserItemId = null;
-            } else if (item.role === 'user') {
-                currentUserItemId = item.id;
-            }
-            if (item.type === 'function_call' && item.name === 'end_interview' && !alreadyEnded) {
-                console.log('End interview function item observed', item);
-                handleEndInterviewSignal('conversation.item');
-            }
-            break;
-        }
+// Assistant transcript events without an item id belong to the message being spoken
+function assistantTargetId(event) {
+    return event.itemId || currentAssistantItemId || `assistant-${event.responseId || Date.now()}`;
+}
 
-        case 'response.output_item.added':
-        case 'response.output_item.done': {
-            const item = event.item;
-            if (item?.type === 'function_call' && item.name === 'end_interview' && !alreadyEnded) {
-                console.log('End interview function output item', item);
-                handleEndInterviewSignal(event.type);
+// Handles one normalized event (see realtimeEvents.js)
+function handleRealtimeEvent(event) {
+    switch (event.kind) {
+        case 'session':
+            if (event.model) {
+                realtimeModel = event.model;
             }
             break;
-        }
 
-        case 'response.created': {
-            console.log('Response created:', event.response?.id);
-            const respId = event.response?.id;
-            if (respId) {
-                lastAssistantResponseId = respId;
+        case 'item': {
+            noteSidebandAnswer(event.item);
+            // System items are our own steering messages, not part of the conversation
+            if (!event.role || event.role === 'system') break;
+            noteTranscriptItem(event.itemId, event.role, event.previousItemId);
+            upsertMessage(event.itemId, event.role, event.text);
+            if (event.stage === 'done' && event.text) {
+                reportTranscriptItem(event.itemId, event.role, event.text, event.sourceType);
             }
-            break;
-        }
-
-        case 'response.audio_transcript.delta': {
-            const targetId = event.item_id || currentAssistantItemId || `assistant-${event.response_id || Date.now()}`;
-            if (event.delta) {
-                currentAssistantItemId = targetId;
-                appendToMessage(targetId, 'assistant', event.delta);
+            if (event.role === 'assistant') {
+                currentAssistantItemId = event.itemId;
                 currentUserItemId = null;
+            } else if (event.role === 'user') {
+                currentUserItemId = event.itemId;
             }
             break;
         }
 
-        case 'response.audio_transcript.done': {
-            const targetId = event.item_id || currentAssistantItemId || `assistant-${event.response_id || Date.now()}`;
-            if (event.transcript) {
-                upsertMessage(targetId, 'assistant', event.transcript);
-                currentAssistantItemId = null;
-                currentUserItemId = null;
+        case 'output_item':
+            if (event.stage === 'done' && event.item.type === 'function_call' && event.item.call_id) {
+                reportFunctionCallItem(event.item, event.sourceType);
             }
             break;
-        }
 
-        // Azure GA naming
-        case 'response.output_audio_transcript.delta': {
-            const targetId = event.item_id || currentAssistantItemId || `assistant-${event.response_id || Date.now()}`;
-            if (event.delta) {
-                currentAssistantItemId = targetId;
-                appendToMessage(targetId, 'assistant', event.delta);
-                currentUserItemId = null;
+        case 'response_started':
+            console.log('Response created:', event.responseId);
+            if (event.responseId) {
+                lastAssistantResponseId = event.responseId;
             }
+            responseInFlight = true;
             break;
-        }
 
-        case 'response.output_audio_transcript.done': {
-            const targetId = event.item_id || currentAssistantItemId || `assistant-${event.response_id || Date.now()}`;
-            const transcript = event.transcript || event.output_text;
-            if (transcript) {
-                upsertMessage(targetId, 'assistant', transcript);
-                currentAssistantItemId = null;
-                currentUserItemId = null;
-            }
+        case 'assistant_transcript_delta': {
+            const targetId = assistantTargetId(event);
+            currentAssistantItemId = targetId;
+            noteTranscriptItem(targetId, 'assistant');
+            appendToMessage(targetId, 'assistant', event.delta);
+            checkAssistantOutput(targetId, event.responseId, messageTextCache.get(targetId), false);
+            currentUserItemId = null;
             break;
         }
 
-        case 'response.output_text.delta': {
-            const targetId = event.item_id || currentAssistantItemId || `assistant-${event.response_id || Date.now()}`;
-            if (event.delta) {
-                currentAssistantItemId = targetId;
-                appendToMessage(targetId, 'assistant', event.delta);
-                currentUserItemId = null;
-            }
+        case 'assistant_transcript_done': {
+            const targetId = assistantTargetId(event);
+            upsertMessage(targetId, 'assistant', event.text);
+            reportTranscriptItem(targetId, 'assistant', event.text, event.sourceType);
+            checkAssistantOutput(targetId, event.responseId, event.text, true);
+            currentAssistantItemId = null;
+            currentUserItemId = null;
             break;
         }
 
-        case 'response.output_text.done': {
-            const targetId = event.item_id || currentAssistantItemId || `assistant-${event.response_id || Date.now()}`;
-            const text = typeof event.text === 'string' ? event.text : (event.output_text || '');
-            if (text) {
-                upsertMessage(targetId, 'assistant', text);
-                currentAssistantItemId = null;
-                currentUserItemId = null;
-            }
+        case 'user_transcript_delta':
+            currentUserItemId = event.itemId;
+            noteTranscriptItem(event.itemId, 'user');
+            appendToMessage(event.itemId, 'user', event.delta);
             break;
-        }
 
-        case 'response.text.done': {
-            const targetId = event.item_id || currentAssistantItemId || `assistant-${event.response_id || Date.now()}`;
-            if (typeof event.text === 'string') {
-                upsertMessage(targetId, 'assistant', event.text);
-                currentAssistantItemId = null;
-                currentUserItemId = null;
+        case 'user_transcript_done': {
+            // Azure can report a committed transcript with no item id
+            const itemId = event.itemId || `user-${Date.now()}`;
+            if (event.text) {
+                currentUserItemId = itemId;
+                upsertMessage(itemId, 'user', event.text);
+                reportTranscriptItem(itemId, 'user', event.text, event.sourceType);
             }
-            break;
-        }
-
-        case 'conversation.item.input_audio_transcription.delta':
-        case 'conversation.item.input_audio_transcript.delta': {
-            if (event.item_id && event.delta) {
-                currentUserItemId = event.item_id;
-                appendToMessage(event.item_id, 'user', event.delta);
+            if (event.usage || speechSecondsByItem.has(itemId)) {
+                reportUsage('transcription', itemId, event.usage, {
+                    speech_seconds: speechSecondsByItem.get(itemId)
+                });
             }
             break;
         }
 
-        case 'conversation.item.input_audio_transcription.completed':
-        case 'conversation.item.input_audio_transcription.done':
-        case 'conversation.item.input_audio_transcript.done':
-        case 'conversation.item.input_audio_transcript.completed': {
-            const transcriptText = event.transcript || event.text;
-            if (event.item_id && transcriptText) {
-                currentUserItemId = event.item_id;
-                upsertMessage(event.item_id, 'user', transcriptText);
+        case 'response_done':
+            if (event.responseId && event.usage) {
+                reportUsage('response', event.responseId, event.usage);
             }
-            if (event.usage) {
-                const total = event.usage.total_tokens ?? 0;
-                const audioTokens = event.usage.input_token_details?.audio_tokens ?? 0;
-                tokenUsage.transcription.totalTokens += total;
-                tokenUsage.transcription.audioTokens += audioTokens;
+            responseInFlight = false;
+            if (wrapUpReason && !wrapUpSent) {
+                sendWrapUp();
             }
             break;
-        }
-
-        case 'response.done': {
-            const respId = event.response?.id;
-            if (respId && tokenUsage.response.seenResponseIds.has(respId)) {
-                break; // dedupe repeated response.done
-            }
-            if (respId) {
-                tokenUsage.response.seenResponseIds.add(respId);
-            }
-
-            const usage = event.response?.usage;
-            if (usage) {
-                const textIn = usage.input_token_details?.text_tokens ?? 0;
-                const audioIn = usage.input_token_details?.audio_tokens ?? 0;
-                const textOut = usage.output_token_details?.text_tokens ?? 0;
-                const audioOut = usage.output_token_details?.audio_tokens ?? 0;
-
-                const cachedTotal = usage.input_token_details?.cached_tokens ?? 0;
-                const cachedAudio = usage.input_token_details?.cached_tokens_details?.audio_tokens ?? 0;
-                const cachedText = usage.input_token_details?.cached_tokens_details?.text_tokens ?? Math.max(cachedTotal - cachedAudio, 0);
-
-                const nonCachedText = Math.max(textIn - cachedText, 0);
-                const nonCachedAudio = Math.max(audioIn - cachedAudio, 0);
-
-                tokenUsage.response.cachedTextInput += cachedText;
-                tokenUsage.response.cachedAudioInput += cachedAudio;
-                tokenUsage.response.textInput += nonCachedText;
-                tokenUsage.response.audioInput += nonCachedAudio;
-                tokenUsage.response.textOutput += textOut;
-                tokenUsage.response.audioOutput += audioOut;
-            }
-            const output = event.response?.output;
-            if (Array.isArray(output)) {
-                const fnCall = output.find(o => o.type === 'function_call' && o.name === 'end_interview');
-                if (fnCall && !alreadyEnded) {
-                    console.log('Function call received: end_interview', fnCall);
-                    handleEndInterviewSignal('response.done');
-                }
-            }
-            break;
-        }
 
-        case 'output_audio_buffer.started':
+        case 'output_audio_started':
             outputAudioActive = true;
             break;
 
-        case 'output_audio_buffer.stopped':
+        // Also fires when a guardrail interruption clears the buffer instead of letting it play out
+        case 'output_audio_stopped':
             outputAudioActive = false;
             if (pendingEndInterview && !alreadyEnded) {
                 // Add delay to ensure audio finishes playing through speakers
@@ -734,47 +968,42 @@ function handleServerEvent(event) {
             }
             break;
 
-        case 'input_audio_buffer.speech_started':
+        case 'speech_started':
             console.log('Speech started');
+            // The candidate is answering the last question: whoever replies next is the Closer
+            if (questionBudgetReached && !alreadyEnded) {
+                handOffToCloser();
+            }
+            if (event.itemId) {
+                noteTranscriptItem(event.itemId, 'user');
+            }
             userSpeaking = true;
             speechStartTimestamp = Date.now();
+            speechItemId = event.itemId;
             break;
 
-        case 'input_audio_buffer.committed': {
-            // Azure emits transcripts here when input_audio_transcription is not present in session config.
-            const transcript = event.transcript || event.text;
-            if (event.item_id && transcript) {
-                currentUserItemId = event.item_id;
-                upsertMessage(event.item_id, 'user', transcript);
-            } else if (transcript) {
-                const tmpId = `user-${Date.now()}`;
-                currentUserItemId = tmpId;
-                upsertMessage(tmpId, 'user', transcript);
-            }
-            if (event.usage) {
-                const total = event.usage.total_tokens ?? 0;
-                const audioTokens = event.usage.input_token_details?.audio_tokens ?? 0;
-                tokenUsage.transcription.totalTokens += total;
-                tokenUsage.transcription.audioTokens += audioTokens;
-            }
+        case 'speech_committed':
             userSpeaking = false;
             speechStartTimestamp = null;
             break;
-        }
 
-        case 'input_audio_buffer.speech_stopped':
+        case 'speech_stopped':
             console.log('Speech stopped - should trigger response');
             if (userSpeaking && speechStartTimestamp) {
-                const deltaSeconds = (Date.now() - speechStartTimestamp) / 1000;
-                tokenUsage.speechDurationSeconds += Math.max(deltaSeconds, 0);
+                const itemId = event.itemId || speechItemId;
+                const deltaSeconds = Math.max((Date.now() - speechStartTimestamp) / 1000, 0);
+                if (itemId) {
+                    speechSecondsByItem.set(itemId, (speechSecondsByItem.get(itemId) || 0) + deltaSeconds);
+                }
             }
             speechStartTimestamp = null;
+            speechItemId = null;
             userSpeaking = false;
             break;
 
         case 'error':
             console.error('Server error:', event.error);
-            showError(event.error.message || 'An error occurred');
+            showError(event.error?.message || 'An error occurred');
             break;
     }
 }
@@ -789,6 +1018,78 @@ window.downloadEvents = () => {
     a.click();
 };
 
+// Event log upload: the captured events go to the server in batches while the interview runs
+// and once more when it ends, for the admin replay view. The server numbers events across page
+// loads, so this page's log starts where the stored one ended when the page loaded.
+const EVENT_LOG_FLUSH_MS = 15000;
+const EVENT_LOG_BATCH_CHARS = 1024 * 1024;
+let eventLogUploaded = 0;
+let eventLogFlush = null;
+let eventLogInterval = null;
+
+function eventLogSettings() {
+    return sessionDetails?.eventLog || { upload: false, redactAudio: true, stored: 0 };
+}
+
+function flushEventLog() {
+    if (!eventLogSettings().upload || !interviewSessionId) {
+        return Promise.resolve();
+    }
+    if (!eventLogFlush) {
+        eventLogFlush = uploadEventLog()
+            .catch(error => console.warn('Event log upload failed:', error))
+            .finally(() => {
+                eventLogFlush = null;
+            });
+    }
+    return eventLogFlush;
+}
+
+async function uploadEventLog() {
+    const { redactAudio, stored = 0 } = eventLogSettings();
+    const log = window.__evtLog || [];
+    while (eventLogUploaded < log.length) {
+        const lines = [];
+        let chars = 0;
+        for (let index = eventLogUploaded; index < log.length && chars < EVENT_LOG_BATCH_CHARS; index++) {
+            const entry = log[index];
+            const line = JSON.stringify({ ...entry, event: redactAudio ? redactAudioPayloads(entry.event) : entry.event });
+            lines.push(line);
+            chars += line.length;
+        }
+        const from = stored + eventLogUploaded;
+        const response = await fetch(`/api/session/${encodeURIComponent(interviewSessionId)}/events?from=${from}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-ndjson' },
+            body: lines.join('\n')
+        });
+        const result = await response.json().catch(() => ({}));
+        // 409 means the server is missing earlier events; it says where to resume
+        if ((!response.ok && response.status !== 409) || !Number.isInteger(result.count)) {
+            throw new Error(result.error || `status ${response.status}`);
+        }
+        const uploaded = Math.max(result.count - stored, 0);
+        if (response.ok && uploaded <= eventLogUploaded) {
+            return;
+        }
+        eventLogUploaded = uploaded;
+    }
+}
+
+function startEventLogUpload() {
+    stopEventLogUpload();
+    if (eventLogSettings().upload) {
+        eventLogInterval = setInterval(flushEventLog, EVENT_LOG_FLUSH_MS);
+    }
+}
+
+function stopEventLogUpload() {
+    if (eventLogInterval) {
+        clearInterval(eventLogInterval);
+    }
+    eventLogInterval = null;
+}
+
 // Chat UI functions
 const messageElements = new Map();
 const messageTextCache = new Map();
@@ -887,32 +1188,152 @@ function showError(message) {
     liveIndicator.textContent = 'ERROR';
 }
 
-async function uploadMedia(kind, blob) {
-    if (!interviewSessionId || !blob) {
+// Chunked recording upload: each MediaRecorder chunk is sent as soon as it is produced and
+// dropped from memory once the server has acknowledged it. Failed chunks stay queued and are
+// retried in order, so only unacknowledged chunks are ever held in the browser.
+const RECORDING_KIND = 'combined';
+const MAX_RECORDING_SEGMENTS = 20;
+const RECORDING_RETRY_DELAYS_MS = [1000, 2000, 5000, 10000];
+let recordingKind = RECORDING_KIND;
+let recordingSeq = 0;
+let recordingGeneration = 0;
+let pendingRecordingChunks = [];
+let recordingFlush = null;
+
+function recordingUrl(suffix = '') {
+    return `/api/session/${encodeURIComponent(interviewSessionId)}/recording/${recordingKind}${suffix}`;
+}
+
+// A recorder always starts a fresh WebM stream, so it never continues a recording the server
+// already has (from before a reload, or an earlier start on this page): appending to it would
+// corrupt the assembled file, and a finalized one rejects chunks. It records into the first
+// unused segment instead: 'combined', then 'combined-2', 'combined-3' and so on.
+async function nextRecordingKind() {
+    for (let segment = 1; segment <= MAX_RECORDING_SEGMENTS; segment++) {
+        const kind = segment === 1 ? RECORDING_KIND : `${RECORDING_KIND}-${segment}`;
+        const response = await fetch(`/api/session/${encodeURIComponent(interviewSessionId)}/recording/${kind}`);
+        if (response.status === 404) {
+            return kind;
+        }
+        if (!response.ok) {
+            throw new Error(`Recording status failed with ${response.status}`);
+        }
+    }
+    throw new Error('No recording segments left');
+}
+
+function queueRecordingChunk(blob) {
+    pendingRecordingChunks.push({ seq: recordingSeq++, blob });
+    flushRecordingChunks();
+}
+
+async function putRecordingChunk({ seq, blob }) {
+    const response = await fetch(recordingUrl(`/chunks/${seq}`), {
+        method: 'PUT',
+        headers: { 'Content-Type': blob.type || 'application/octet-stream' },
+        body: blob
+    });
+    if (!response.ok) {
+        throw new Error(`Chunk ${seq} upload failed with ${response.status}`);
+    }
+}
+
+// After a failure, ask the server what it already has: a chunk whose response was lost
+// does not need to be sent again.
+async function dropAcknowledgedChunks() {
+    try {
+        const response = await fetch(recordingUrl());
+        if (!response.ok) {
+            return;
+        }
+        const status = await response.json();
+        const missing = new Set(status.missing || []);
+        pendingRecordingChunks = pendingRecordingChunks.filter(chunk =>
+            chunk.seq > status.highestSeq || missing.has(chunk.seq));
+    } catch (error) {
+        console.warn('Could not read recording upload status:', error);
+    }
+}
+
+// Sends pending chunks one at a time; gives up after the retry schedule and leaves the
+// rest queued for the next chunk (or the final flush) to pick up.
+function flushRecordingChunks() {
+    if (recordingFlush) {
+        return recordingFlush;
+    }
+    recordingFlush = (async () => {
+        let failures = 0;
+        while (pendingRecordingChunks.length && interviewSessionId) {
+            try {
+                await putRecordingChunk(pendingRecordingChunks[0]);
+                pendingRecordingChunks.shift();
+                failures = 0;
+            } catch (error) {
+                if (failures >= RECORDING_RETRY_DELAYS_MS.length) {
+                    console.error('Recording upload paused after repeated failures:', error);
+                    return;
+                }
+                console.warn('Recording chunk upload failed, retrying:', error);
+                await new Promise(resolve => setTimeout(resolve, RECORDING_RETRY_DELAYS_MS[failures++]));
+                await dropAcknowledgedChunks();
+            }
+        }
+    })().finally(() => {
+        recordingFlush = null;
+    });
+    return recordingFlush;
+}
+
+async function finalizeRecordingUpload() {
+    await flushRecordingChunks();
+    if (pendingRecordingChunks.length) {
+        // One more pass for anything the background flush gave up on
+        await flushRecordingChunks();
+    }
+    if (!recordingSeq) {
         return;
     }
     try {
-        await fetch(`/api/upload-media?sessionId=${encodeURIComponent(interviewSessionId)}&type=${encodeURIComponent(kind)}`, {
+        const response = await fetch(recordingUrl('/finalize'), {
             method: 'POST',
-            headers: {
-                'Content-Type': blob.type || 'application/octet-stream'
-            },
-            body: blob
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ totalChunks: recordingSeq })
         });
+        const result = await response.json();
+        if (!response.ok) {
+            console.warn('Recording finalize failed:', result.error);
+        } else if (result.missing && result.missing.length) {
+            console.warn(`Recording finalized without ${result.missing.length} chunk(s)`);
+        }
     } catch (error) {
-        console.error(`Failed to upload ${kind} recording:`, error);
+        console.error('Failed to finalize recording upload:', error);
     }
 }
 
-function tryStartCombinedRecording() {
+async function tryStartCombinedRecording() {
     if (!cameraStream || !candidateAudioStream || !assistantAudioStream) {
         return;
     }
-    if (combinedRecorder && combinedRecorder.state === 'recording') {
+    if (combinedRecorder || recordingKind === null) {
         return;
     }
 
-    combinedChunks = [];
+    // Claim the start while the segment lookup is in flight; a stop in the meantime cancels it
+    const generation = ++recordingGeneration;
+    recordingKind = null;
+    let kind;
+    try {
+        kind = await nextRecordingKind();
+    } catch (error) {
+        console.warn('Could not check earlier recordings, recording without resume check:', error);
+        kind = RECORDING_KIND;
+    }
+    if (generation !== recordingGeneration) {
+        return;
+    }
+    recordingKind = kind;
+    recordingSeq = 0;
+    pendingRecordingChunks = [];
 
     if (!audioContext) {
         audioContext = new (window.AudioContext || window.webkitAudioContext)();
@@ -952,17 +1373,13 @@ function tryStartCombinedRecording() {
     combinedRecordingStopped = new Promise((resolve) => {
         combinedRecorder.ondataavailable = (event) => {
             if (event.data && event.data.size > 0) {
-                combinedChunks.push(event.data);
+                queueRecordingChunk(event.data);
             }
         };
         combinedRecorder.onstop = async () => {
             try {
-                if (combinedChunks.length > 0) {
-                    const blob = new Blob(combinedChunks, { type: 'video/webm' });
-                    await uploadMedia('combined', blob);
-                }
+                await finalizeRecordingUpload();
             } finally {
-                combinedChunks = [];
                 resolve();
             }
         };
@@ -973,6 +1390,10 @@ function tryStartCombinedRecording() {
 }
 
 async function stopCombinedRecording() {
+    recordingGeneration++;
+    if (recordingKind === null) {
+        recordingKind = RECORDING_KIND;
+    }
     if (combinedRecorder && combinedRecorder.state === 'recording') {
         combinedRecorder.stop();
         if (combinedRecordingStopped) {
@@ -1021,9 +1442,11 @@ function updateTimerDisplay(elapsedSeconds = stopwatchElapsedSeconds) {
         return;
     }
 
-    if (elapsed >= SOFT_ALERT_SECONDS) {
+    const softLimitMinutes = sessionDetails?.interviewLimits?.softMinutes;
+    const alertSeconds = softLimitMinutes ? softLimitMinutes * 60 : DEFAULT_SOFT_LIMIT_SECONDS;
+    if (elapsed >= alertSeconds) {
         timerBadge.style.color = 'var(--danger-color)';
-    } else if (elapsed >= SOFT_WARNING_SECONDS) {
+    } else if (elapsed >= alertSeconds / 3) {
         timerBadge.style.color = 'var(--warning-color)';
     } else {
         timerBadge.style.color = 'var(--text-primary)';
@@ -1031,87 +1454,138 @@ function updateTimerDisplay(elapsedSeconds = stopwatchElapsedSeconds) {
 }
 
 
-function logCostSummary() {
-    const { response, transcription, speechDurationSeconds } = tokenUsage;
-    const minutes = speechDurationSeconds / 60;
-
-    // Model costs (cached billed at cached rates)
-    const textInputCost = (response.textInput / 1_000_000) * PRICING_RATES.text.input;
-    const cachedTextInputCost = (response.cachedTextInput / 1_000_000) * PRICING_RATES.text.cachedInput;
-    const textOutputCost = (response.textOutput / 1_000_000) * PRICING_RATES.text.output;
-    const audioInputCost = (response.audioInput / 1_000_000) * PRICING_RATES.audio.input;
-    const cachedAudioInputCost = (response.cachedAudioInput / 1_000_000) * PRICING_RATES.audio.cachedInput;
-    const audioOutputCost = (response.audioOutput / 1_000_000) * PRICING_RATES.audio.output;
-
-    const whisperCost = minutes * PRICING_RATES.whisperPerMinute;
-
-    const totalCost = textInputCost + cachedTextInputCost + textOutputCost + audioInputCost + cachedAudioInputCost + audioOutputCost + whisperCost;
+// Fire-and-forget; the server ignores a usage id it has already recorded
+function reportUsage(kind, id, usage, extra = {}) {
+    const usageId = `${kind}:${id}`;
+    if (!interviewSessionId || reportedUsageIds.has(usageId)) {
+        return;
+    }
+    reportedUsageIds.add(usageId);
+    fetch(`/api/session/${encodeURIComponent(interviewSessionId)}/usage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ kind, id, model: realtimeModel, usage: usage || null, ...extra }),
+        keepalive: true
+    })
+        .then(response => (response.ok ? response.json() : null))
+        .then(result => {
+            if (result?.wrapUp) {
+                requestWrapUp('cost_ceiling');
+            }
+        })
+        .catch(err => console.warn('Failed to report usage:', err));
+}
 
-    console.log('[CostSummary]', {
-        model: PRICING_RATES.model,
-        responseTokens: {
-            textInput: response.textInput,
-            audioInput: response.audioInput,
-            textOutput: response.textOutput,
-            audioOutput: response.audioOutput,
-            cachedTextInput: response.cachedTextInput,
-            cachedAudioInput: response.cachedAudioInput
-        },
-        transcriptionTokens: {
-            total: transcription.totalTokens,
-            audio: transcription.audioTokens
-        },
-        speechDurationSeconds: Number(speechDurationSeconds.toFixed(2)),
-        costsUSD: {
-            textInputCost: Number(textInputCost.toFixed(6)),
-            cachedTextInputCost: Number(cachedTextInputCost.toFixed(6)),
-            textOutputCost: Number(textOutputCost.toFixed(6)),
-            audioInputCost: Number(audioInputCost.toFixed(6)),
-            cachedAudioInputCost: Number(cachedAudioInputCost.toFixed(6)),
-            audioOutputCost: Number(audioOutputCost.toFixed(6)),
-            whisperCost: Number(whisperCost.toFixed(6)),
-            totalCost: Number(totalCost.toFixed(6))
+// Remember when an item was first seen and where the server placed it in the conversation
+function noteTranscriptItem(itemId, role, previousItemId) {
+    if (!itemId) {
+        return;
+    }
+    const meta = transcriptItemMeta.get(itemId);
+    if (meta) {
+        if (previousItemId && !meta.previousItemId) {
+            meta.previousItemId = previousItemId;
         }
+        return;
+    }
+    transcriptItemMeta.set(itemId, {
+        role,
+        startedAt: new Date().toISOString(),
+        previousItemId: previousItemId || null
     });
 }
 
-function buildTranscriptFromDom() {
-    const messages = chatContainer.querySelectorAll('.message');
-    const lines = [];
-    messages.forEach(msg => {
-        const role = msg.dataset.role || 'system';
-        const content = msg.querySelector('.message-content')?.textContent?.trim() || msg.textContent.trim();
-        if (content) {
-            lines.push(`${role.toUpperCase()}: ${content}`);
+function postTranscriptItem(payload) {
+    const sessionId = interviewSessionId;
+    transcriptUploadChain = transcriptUploadChain.then(async () => {
+        try {
+            const response = await fetch(`/api/session/${encodeURIComponent(sessionId)}/transcript/items`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            if (!response.ok) {
+                console.warn('Transcript item rejected:', payload.item_id, await response.text());
+                return;
+            }
+            const result = await response.json();
+            handleInterviewLimit(result.limit);
+        } catch (err) {
+            console.error('Failed to upload transcript item:', payload.item_id, err);
         }
     });
-    return lines.join('\n');
+    return transcriptUploadChain;
+}
+
+function reportTranscriptItem(itemId, role, text, sourceEvent) {
+    if (!itemId || !text || !text.trim()) {
+        return;
+    }
+    // The same final text often arrives through more than one event
+    if (reportedTranscriptText.get(itemId) === text) {
+        return;
+    }
+    reportedTranscriptText.set(itemId, text);
+    noteTranscriptItem(itemId, role);
+    const meta = transcriptItemMeta.get(itemId);
+    if ((meta.role || role) === 'assistant') {
+        lastAssistantItemId = itemId;
+    }
+    postTranscriptItem({
+        item_id: itemId,
+        role: meta.role || role,
+        type: 'message',
+        text,
+        started_at: meta.startedAt,
+        ended_at: new Date().toISOString(),
+        source_event: sourceEvent,
+        previous_item_id: meta.previousItemId
+    });
+}
+
+function reportFunctionCallItem(item, sourceEvent) {
+    const itemId = item.id || item.call_id;
+    if (reportedTranscriptText.has(itemId)) {
+        return;
+    }
+    reportedTranscriptText.set(itemId, item.arguments || '');
+    noteTranscriptItem(itemId, 'assistant');
+    const meta = transcriptItemMeta.get(itemId);
+    postTranscriptItem({
+        item_id: itemId,
+        role: 'assistant',
+        type: 'function_call',
+        name: item.name,
+        arguments: item.arguments || '',
+        started_at: meta.startedAt,
+        ended_at: new Date().toISOString(),
+        source_event: sourceEvent,
+        previous_item_id: meta.previousItemId
+    });
 }
 
 function saveTranscriptAndAnalysis() {
     if (pendingTranscriptSave) {
         return;
     }
-    const transcript = buildTranscriptFromDom();
-    if (!transcript || !transcript.length) {
+    if (!transcriptItemMeta.size) {
         return;
     }
     pendingTranscriptSave = (async () => {
         try {
-            await fetch(`/api/session/${encodeURIComponent(interviewSessionId)}/transcript`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'text/plain'
-                },
-                body: transcript
+            // Let every streamed item land before the server derives the transcript files
+            await transcriptUploadChain;
+
+            const finalizeResponse = await fetch(`/api/session/${encodeURIComponent(interviewSessionId)}/transcript/finalize`, {
+                method: 'POST'
             });
+            if (!finalizeResponse.ok) {
+                console.warn('Transcript finalize failed:', await finalizeResponse.text());
+                return;
+            }
 
             await fetch(`/api/session/${encodeURIComponent(interviewSessionId)}/analyze`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ transcript })
+                method: 'POST'
             });
         } catch (err) {
             console.error('Failed saving transcript/analysis:', err);
@@ -1119,7 +1593,52 @@ function saveTranscriptAndAnalysis() {
     })();
 }
 
+function startHeartbeat() {
+    stopHeartbeat();
+    const beat = () => {
+        fetch(`/api/session/${encodeURIComponent(interviewSessionId)}/heartbeat`, { method: 'POST' })
+            .then(response => (response.ok ? response.json() : null))
+            .then(result => {
+                if (result && usesServerNegotiation()) {
+                    setServerRunsTools(!!result.sidebandAttached);
+                }
+                handleInterviewLimit(result?.limit);
+            })
+            .catch(err => console.warn('Heartbeat failed:', err));
+    };
+    beat();
+    heartbeatInterval = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+}
+
+function stopHeartbeat() {
+    if (heartbeatInterval) {
+        clearInterval(heartbeatInterval);
+    }
+    heartbeatInterval = null;
+}
+
+function markSessionCompleted() {
+    fetch(`/api/session/${encodeURIComponent(interviewSessionId)}/complete`, {
+        method: 'POST'
+    }).catch(err => console.warn('Failed to update session status:', err));
+}
+
+// Best effort: tell the server right away when the candidate leaves mid-interview, so it does
+// not have to wait for heartbeats to time out. A reload sends it too; the server keeps the
+// session open briefly so the reloaded page can carry on.
+function sendLeaveBeacon() {
+    if (!isSessionActive || alreadyEnded || !interviewSessionId) {
+        return;
+    }
+    const url = `/api/session/${encodeURIComponent(interviewSessionId)}/leave`;
+    if (!navigator.sendBeacon || !navigator.sendBeacon(url)) {
+        fetch(url, { method: 'POST', keepalive: true }).catch(() => {});
+    }
+}
+
 // Event listeners
+window.addEventListener('pagehide', sendLeaveBeacon);
+window.addEventListener('beforeunload', sendLeaveBeacon);
 startButton.addEventListener('click', startInterview);
 stopButton.addEventListener('click', stopInterview);
 
@@ -0,0 +1,73 @@
+import { RealtimeAgent, tool, backgroundResult } from '@openai/agents-realtime';
+import {
+    CONDUCT_RULES, CLOSER_HANDOFF_DESCRIPTION, endInterviewTool, recordPrimaryQuestionTool, markQuestionAskedTool
+} from './interviewTools.js';
+
+// Interview agents for the Realtime Agents SDK. The Interviewer runs the questions and hands
+// off to the Closer once the interview is done; either can call end_interview, whose handler
+// lets the page stop the session after the goodbye has finished playing. The Interviewer's
+// instructions are set by the server when it mints the session and never reach the page; the
+// tool definitions come from interviewTools.js, the same ones the server configures.
+
+export function createEndInterviewTool(onEndInterview) {
+    return tool({
+        ...endInterviewTool(),
+        strict: true,
+        execute: async (input) => {
+            onEndInterview(input?.reason || 'Interview completed');
+            // A background result stops the SDK from asking for another response
+            return backgroundResult('Interview ended');
+        }
+    });
+}
+
+// Lets the interviewer mark question bank entries as covered
+export function createMarkQuestionTool(questionIds, onQuestionAsked) {
+    return tool({
+        ...markQuestionAskedTool(questionIds),
+        strict: true,
+        execute: async (input, _context, details) => {
+            onQuestionAsked(input?.question_id, details?.toolCall);
+            return backgroundResult('Recorded');
+        }
+    });
+}
+
+// Reports each primary question so the server keeps the real count. onPrimaryQuestion resolves
+// to the note the model gets back, e.g. that it has reached the last question.
+export function createRecordQuestionTool(competencies, onPrimaryQuestion) {
+    return tool({
+        ...recordPrimaryQuestionTool(competencies),
+        strict: true,
+        execute: async (input, _context, details) => {
+            return backgroundResult(await onPrimaryQuestion(input || {}, details?.toolCall));
+        }
+    });
+}
+
+export function createInterviewAgents({ candidateName, jobTitle, competencies = [], questionIds = [], onEndInterview, onQuestionAsked, onPrimaryQuestion }) {
+    const endInterview = createEndInterviewTool(onEndInterview);
+    const interviewerTools = [endInterview, createRecordQuestionTool(competencies, onPrimaryQuestion)];
+    if (questionIds.length) {
+        interviewerTools.push(createMarkQuestionTool(questionIds, onQuestionAsked));
+    }
+    const candidate = candidateName || 'the candidate';
+    const role = jobTitle ? ` for the ${jobTitle} role` : '';
+
+    const closer = new RealtimeAgent({
+        name: 'Closer',
+        handoffDescription: CLOSER_HANDOFF_DESCRIPTION,
+        instructions: `You are an AI interviewer. The questions are over and you are now closing the screening interview with ${candidate}${role}. Do NOT ask any new questions or follow-ups. Briefly thank the candidate for their time, tell them the team will follow up, and say goodbye once. Call end_interview in the same response as your goodbye.\n\n${CONDUCT_RULES}`,
+        tools: [endInterview]
+    });
+
+    const interviewer = new RealtimeAgent({
+        name: 'Interviewer',
+        // Returning nothing leaves out the instructions field, so session updates keep the server's
+        instructions: () => undefined,
+        tools: interviewerTools,
+        handoffs: [closer]
+    });
+
+    return { interviewer, closer };
+}
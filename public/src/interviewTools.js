@@ -0,0 +1,78 @@
+// The interviewer's tool definitions and conduct rules, shared by the server, which puts them in
+// the realtime session config, and the interview page, which binds handlers to the same tools
+// through the Agents SDK. Kept free of DOM and Node APIs so both sides import this one copy.
+
+export const CONDUCT_RULES = 'Behave strictly as the interviewer. Respond only in English. Do NOT answer your own questions; ask, then wait for the candidate to reply. If audio is unclear, ask for clarification.';
+
+// The Closer agent's handoff description; the SDK turns it into the transfer_to_closer tool
+export const CLOSER_HANDOFF_DESCRIPTION = 'Closes the interview. Hand off once all primary questions are done, the candidate asks to stop, or you are told to wrap up.';
+
+// Each definition is { name, description, parameters }; callers add what their API needs
+export function endInterviewTool() {
+    return {
+        name: 'end_interview',
+        description: 'Call this function to end the interview. REQUIRED when: (1) all primary questions completed, (2) candidate asks to end/stop, or (3) candidate refuses to continue. IMPORTANT: When calling this function, you MUST ALSO generate a spoken audio message in the same response - do NOT call this function alone without speaking. Your response should contain both audio output AND this function call.',
+        parameters: {
+            type: 'object',
+            properties: {
+                reason: {
+                    type: 'string',
+                    description: 'Brief reason: "Interview completed" OR "Candidate requested to end" OR "All questions asked"'
+                }
+            },
+            required: ['reason'],
+            additionalProperties: false
+        }
+    };
+}
+
+// competencies are the rubric's names plus "General"; empty when there is no rubric
+export function recordPrimaryQuestionTool(competencies = []) {
+    return {
+        name: 'record_primary_question',
+        description: 'Call this in the same response every time you ask a primary question, with the question as you asked it and the competency it assesses. Do NOT call it for follow-up or clarifying questions.',
+        parameters: {
+            type: 'object',
+            properties: {
+                question: {
+                    type: 'string',
+                    description: 'The primary question as you asked it'
+                },
+                competency: competencies.length
+                    ? { type: 'string', enum: competencies, description: 'Rubric competency the question assesses' }
+                    : { type: 'string', description: 'Competency or topic the question assesses, e.g. "System design"' }
+            },
+            required: ['question', 'competency'],
+            additionalProperties: false
+        }
+    };
+}
+
+// Only offered when the position has a question bank; ids are limited to the bank's
+export function markQuestionAskedTool(questionIds) {
+    return {
+        name: 'mark_question_asked',
+        description: 'Call this in the same response whenever you ask a question from the Question Bank, passing its id (e.g. "q2"). Keep speaking normally; this call is only for record keeping.',
+        parameters: {
+            type: 'object',
+            properties: {
+                question_id: {
+                    type: 'string',
+                    enum: questionIds,
+                    description: 'Id of the question bank entry you just asked'
+                }
+            },
+            required: ['question_id'],
+            additionalProperties: false
+        }
+    };
+}
+
+// The handoff tool as the SDK declares it for the Closer agent
+export function transferToCloserTool() {
+    return {
+        name: 'transfer_to_closer',
+        description: `Handoff to the Closer agent to handle the request. ${CLOSER_HANDOFF_DESCRIPTION}`,
+        parameters: { type: 'object', properties: {}, required: [], additionalProperties: false }
+    };
+}
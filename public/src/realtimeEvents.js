@@ -0,0 +1,197 @@
+// One vocabulary for realtime server events, whichever API version or provider sent them. The
+// beta API, the GA API and Azure spell the same moments differently (response.audio_transcript
+// vs response.output_audio_transcript, four names for a finished input transcription, Azure's
+// transcripts on input_audio_buffer.committed); consumers switch on `kind` here instead.
+// Shared by the interview page and the server's sideband, so it stays free of DOM and Node APIs.
+//
+// Every normalized event has kind and sourceType (the raw type, kept for transcript records):
+//   session                      { model }
+//   item                         { stage: 'added' | 'done', item, itemId, role, text, previousItemId }
+//   output_item                  { stage: 'added' | 'done', item, responseId }
+//   response_started             { responseId }
+//   response_done                { responseId, response, usage }
+//   assistant_transcript_delta   { itemId, responseId, delta }
+//   assistant_transcript_done    { itemId, responseId, text }
+//   user_transcript_delta        { itemId, delta }
+//   user_transcript_done         { itemId, text, usage }   itemId may be null (Azure)
+//   speech_started               { itemId, audioStartMs }
+//   speech_stopped               { itemId, audioEndMs }
+//   speech_committed             { itemId, previousItemId }
+//   output_audio_started         { responseId }
+//   output_audio_stopped         { responseId, cleared }
+//   error                        { error }
+export const REALTIME_EVENT_KINDS = [
+    'session', 'item', 'output_item', 'response_started', 'response_done',
+    'assistant_transcript_delta', 'assistant_transcript_done',
+    'user_transcript_delta', 'user_transcript_done',
+    'speech_started', 'speech_stopped', 'speech_committed',
+    'output_audio_started', 'output_audio_stopped', 'error'
+];
+
+const ASSISTANT_DELTA_TYPES = [
+    'response.audio_transcript.delta',
+    'response.output_audio_transcript.delta',
+    'response.text.delta',
+    'response.output_text.delta'
+];
+const ASSISTANT_DONE_TYPES = [
+    'response.audio_transcript.done',
+    'response.output_audio_transcript.done',
+    'response.text.done',
+    'response.output_text.done'
+];
+const USER_DELTA_TYPES = [
+    'conversation.item.input_audio_transcription.delta',
+    'conversation.item.input_audio_transcript.delta'
+];
+const USER_DONE_TYPES = [
+    'conversation.item.input_audio_transcription.completed',
+    'conversation.item.input_audio_transcription.done',
+    'conversation.item.input_audio_transcript.completed',
+    'conversation.item.input_audio_transcript.done'
+];
+
+const text = (value) => (typeof value === 'string' ? value : '');
+
+// Readable text of a conversation item: typed text first, then any audio transcript. Covers the
+// beta content types (text, audio) and the GA ones (output_text, output_audio).
+export function itemText(item = {}) {
+    const content = Array.isArray(item?.content) ? item.content : [];
+    const typed = content.find(c => ['text', 'input_text', 'output_text'].includes(c?.type) && text(c.text));
+    if (typed) {
+        return typed.text;
+    }
+    const spoken = content.find(c => text(c?.transcript));
+    return spoken ? spoken.transcript : '';
+}
+
+// Maps one raw server event to zero or more normalized events. Unknown and irrelevant events
+// map to none.
+export function normalizeRealtimeEvent(event) {
+    const type = event?.type;
+    if (typeof type !== 'string') {
+        return [];
+    }
+    const base = { sourceType: type };
+
+    if (ASSISTANT_DELTA_TYPES.includes(type)) {
+        return text(event.delta)
+            ? [{ ...base, kind: 'assistant_transcript_delta', itemId: event.item_id || null, responseId: event.response_id || null, delta: event.delta }]
+            : [];
+    }
+    if (ASSISTANT_DONE_TYPES.includes(type)) {
+        // Azure sends the finished text as output_text on some of these
+        const doneText = text(event.transcript) || text(event.text) || text(event.output_text);
+        return doneText
+            ? [{ ...base, kind: 'assistant_transcript_done', itemId: event.item_id || null, responseId: event.response_id || null, text: doneText }]
+            : [];
+    }
+    if (USER_DELTA_TYPES.includes(type)) {
+        return event.item_id && text(event.delta)
+            ? [{ ...base, kind: 'user_transcript_delta', itemId: event.item_id, delta: event.delta }]
+            : [];
+    }
+    if (USER_DONE_TYPES.includes(type)) {
+        return event.item_id
+            ? [{ ...base, kind: 'user_transcript_done', itemId: event.item_id, text: text(event.transcript) || text(event.text), usage: event.usage || null }]
+            : [];
+    }
+
+    switch (type) {
+        case 'session.created':
+        case 'session.updated':
+            return [{ ...base, kind: 'session', model: event.session?.model || null }];
+
+        // created is the beta name for added
+        case 'conversation.item.created':
+        case 'conversation.item.added':
+        case 'conversation.item.done': {
+            const item = event.item;
+            if (!item?.id) {
+                return [];
+            }
+            return [{
+                ...base,
+                kind: 'item',
+                stage: type === 'conversation.item.done' ? 'done' : 'added',
+                item,
+                itemId: item.id,
+                role: item.role || null,
+                text: itemText(item),
+                previousItemId: event.previous_item_id || null
+            }];
+        }
+
+        case 'response.output_item.added':
+        case 'response.output_item.done':
+            return event.item
+                ? [{ ...base, kind: 'output_item', stage: type.endsWith('.done') ? 'done' : 'added', item: event.item, responseId: event.response_id || null }]
+                : [];
+
+        case 'response.created':
+            return [{ ...base, kind: 'response_started', responseId: event.response?.id || null }];
+
+        case 'response.done':
+            return [{ ...base, kind: 'response_done', responseId: event.response?.id || null, response: event.response || null, usage: event.response?.usage || null }];
+
+        case 'input_audio_buffer.speech_started':
+            return [{ ...base, kind: 'speech_started', itemId: event.item_id || null, audioStartMs: event.audio_start_ms ?? null }];
+
+        case 'input_audio_buffer.speech_stopped':
+            return [{ ...base, kind: 'speech_stopped', itemId: event.item_id || null, audioEndMs: event.audio_end_ms ?? null }];
+
+        // Azure puts the transcript (and its usage) here when no input transcription is configured
+        case 'input_audio_buffer.committed': {
+            const committed = { ...base, kind: 'speech_committed', itemId: event.item_id || null, previousItemId: event.previous_item_id || null };
+            const transcript = text(event.transcript) || text(event.text);
+            if (!transcript && !event.usage) {
+                return [committed];
+            }
+            return [
+                { ...base, kind: 'user_transcript_done', itemId: event.item_id || null, text: transcript, usage: event.usage || null },
+                committed
+            ];
+        }
+
+        case 'output_audio_buffer.started':
+            return [{ ...base, kind: 'output_audio_started', responseId: event.response_id || null }];
+
+        // A cut-off response clears the buffer instead of letting it play out
+        case 'output_audio_buffer.stopped':
+        case 'output_audio_buffer.cleared':
+            return [{ ...base, kind: 'output_audio_stopped', responseId: event.response_id || null, cleared: type === 'output_audio_buffer.cleared' }];
+
+        case 'error':
+            return [{ ...base, kind: 'error', error: event.error || null }];
+
+        default:
+            return [];
+    }
+}
+
+// Base64 audio in an event: output audio deltas and any audio field on items (input_audio,
+// output_audio content). Replaced with a marker giving the payload size.
+const AUDIO_DELTA_TYPES = ['response.audio.delta', 'response.output_audio.delta'];
+const redactedMarker = (payload) => `[audio redacted: ${payload.length} base64 chars]`;
+
+function redactAudioFields(value) {
+    if (Array.isArray(value)) {
+        return value.map(redactAudioFields);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+        key,
+        key === 'audio' && typeof field === 'string' ? redactedMarker(field) : redactAudioFields(field)
+    ]));
+}
+
+// Copy of a raw event with its audio payloads redacted, for event logs kept after the interview
+export function redactAudioPayloads(event) {
+    const redacted = redactAudioFields(event);
+    if (AUDIO_DELTA_TYPES.includes(redacted?.type) && typeof redacted.delta === 'string') {
+        redacted.delta = redactedMarker(redacted.delta);
+    }
+    return redacted;
+}
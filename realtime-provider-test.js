@@ -0,0 +1,39 @@
+import "dotenv/config";
+import { createRealtimeProviders, REALTIME_PROVIDERS } from "./server/realtimeProviders.js";
+import { clientSecretSessionConfig, DEFAULT_REALTIME_PROFILE } from "./server/realtime.js";
+
+// Checks realtime provider credentials by minting a client secret through the same adapters the
+// server uses. Usage: node realtime-provider-test.js [openai|azure|mock] (default: azure)
+const name = process.argv[2] || "azure";
+if (!REALTIME_PROVIDERS.includes(name)) {
+  console.error(`Provider must be one of: ${REALTIME_PROVIDERS.join(", ")}`);
+  process.exit(1);
+}
+
+const providers = createRealtimeProviders({
+  openai: { apiKey: process.env.OPENAI_API_KEY, baseUrl: process.env.OPENAI_REALTIME_URL || undefined },
+  azure: {
+    endpoint: (process.env.AZURE_OPENAI_ENDPOINT || "").replace(/\/$/, ""),
+    deployment: process.env.AZURE_OPENAI_DEPLOYMENT || "",
+    apiKey: process.env.AZURE_OPENAI_API_KEY || ""
+  },
+  mock: { enabled: true }
+});
+const provider = providers.get(name);
+if (!provider.configured) {
+  console.error(`The ${name} provider is not configured; check its environment variables`);
+  process.exit(1);
+}
+
+async function main() {
+  const profile = DEFAULT_REALTIME_PROFILE;
+  console.log(`Minting a client secret with ${name} (model ${provider.sessionModel(profile)})...`);
+  const secret = await provider.createClientSecret(clientSecretSessionConfig(profile, { model: provider.sessionModel(profile) }));
+  console.log(`Client secret ok (${secret.value.slice(0, 6)}..., expires ${secret.expiresAt ?? "unknown"})`);
+  console.log("Browser connection:", provider.browserConnection(profile));
+}
+
+main().catch((err) => {
+  console.error(`${err.message}${err.status ? ` [${err.status}]` : ""}${err.detail ? `: ${err.detail}` : ""}`);
+  process.exit(1);
+});
@@ -0,0 +1,246 @@
+import { computeWeightedScore, describeRubric } from './rubrics.js';
+
+export const RECOMMENDATIONS = ['strong_advance', 'advance', 'hold', 'reject'];
+
+export const RECOMMENDATION_LABELS = {
+  strong_advance: 'Strongly advance',
+  advance: 'Advance',
+  hold: 'Hold',
+  reject: 'Do not advance'
+};
+
+// Shape the model must return. Kept next to validateAnalysis so the two never drift.
+const SCHEMA_DESCRIPTION = `{
+  "overallScore": <integer 0-100>,
+  "competencies": [
+    {
+      "name": "<competency>",
+      "score": <integer 0-100>,
+      "rationale": "<one sentence>",
+      "evidence": ["<short verbatim quote from the candidate>"]
+    }
+  ],
+  "summary": ["<3-4 short bullets>"],
+  "strengths": ["<3-5 short bullets>"],
+  "risks": ["<3-5 short bullets>"],
+  "recommendation": { "decision": "${RECOMMENDATIONS.join('" | "')}", "rationale": "<1-2 sentences>" },
+  "nextStepQuestions": ["<3 questions>"]
+}`;
+
+const RESUME_SCHEMA_DESCRIPTION = `"resumeComparison": {
+    "summary": "<1-2 sentences on how well the interview matched the resume>",
+    "discrepancies": ["<claim from the resume that the interview contradicted or failed to support>"]
+  }`;
+
+export function buildAnalysisSystemPrompt(rubric, { hasResume = false } = {}) {
+  const competencyGuidance = rubric
+    ? [
+      '- Score exactly these competencies, using these names verbatim and the anchored levels as the scale:',
+      describeRubric(rubric),
+      '- overallScore may be omitted; it is computed from the competency weights.'
+    ]
+    : ['- Score 3-6 competencies that matter for the role.'];
+  const resumeGuidance = hasResume
+    ? [
+      '- The candidate supplied a resume. Also include this field in the JSON object:',
+      `  ${RESUME_SCHEMA_DESCRIPTION}`,
+      '- Compare what the candidate said against the resume. List contradictions and resume claims they could not back up under discrepancies (an empty list if none); mention serious ones under risks too.'
+    ]
+    : [];
+
+  return [
+    'You are an interview analyst. Evaluate the candidate using only evidence from the transcript.',
+    'Respond with a single JSON object and nothing else: no markdown fences, no preamble, no closing text.',
+    '',
+    'The JSON object must match this shape exactly:',
+    SCHEMA_DESCRIPTION,
+    '',
+    'Guidance:',
+    ...competencyGuidance,
+    ...resumeGuidance,
+    '- Support every competency score with up to 3 short quotes from the transcript; use an empty list if there is no evidence and score conservatively.',
+    '- Be concise and actionable.',
+    '- If unsure, be conservative with scores.'
+  ].join('\n');
+}
+
+export function buildAnalysisUserContent(transcript, session) {
+  const resumeLines = session.resume?.text
+    ? ['', 'Resume (supplied by the candidate):', '<resume>', session.resume.text, '</resume>']
+    : [];
+  return [
+    `Job Title: ${session.jobTitle}`,
+    `Candidate: ${session.candidateName || 'N/A'}`,
+    ...resumeLines,
+    '',
+    'Transcript:',
+    transcript
+  ].join('\n');
+}
+
+// Models sometimes wrap JSON in fences or add a sentence around it; take the outermost object.
+export function extractJson(text) {
+  const source = (text || '').trim();
+  const start = source.indexOf('{');
+  const end = source.lastIndexOf('}');
+  if (start < 0 || end <= start) {
+    throw new Error('Response did not contain a JSON object');
+  }
+  return JSON.parse(source.slice(start, end + 1));
+}
+
+const isScore = (value) => Number.isInteger(value) && value >= 0 && value <= 100;
+
+function checkStringList(errors, value, field, { min = 1, max = 10 } = {}) {
+  if (!Array.isArray(value)) {
+    errors.push(`${field} must be an array of strings`);
+    return [];
+  }
+  const items = value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+  if (items.length < min || items.length > max) {
+    errors.push(`${field} must have ${min}-${max} non-empty strings`);
+  }
+  return items;
+}
+
+// Returns { analysis } with a cleaned copy, or { errors } listing every problem found.
+// With a rubric, the competencies must match it and overallScore is the weighted mean.
+// With a resume, resumeComparison is required.
+export function validateAnalysis(candidate, { rubric = null, hasResume = false } = {}) {
+  const errors = [];
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return { errors: ['Response must be a JSON object'] };
+  }
+
+  if (!rubric && !isScore(candidate.overallScore)) {
+    errors.push('overallScore must be an integer from 0 to 100');
+  }
+
+  let competencies = [];
+  if (!Array.isArray(candidate.competencies) || !candidate.competencies.length) {
+    errors.push('competencies must be a non-empty array');
+  } else {
+    competencies = candidate.competencies.map((competency, idx) => {
+      if (!competency || typeof competency.name !== 'string' || !competency.name.trim()) {
+        errors.push(`competencies[${idx}].name must be a non-empty string`);
+      }
+      if (!isScore(competency?.score)) {
+        errors.push(`competencies[${idx}].score must be an integer from 0 to 100`);
+      }
+      if (typeof competency?.rationale !== 'string') {
+        errors.push(`competencies[${idx}].rationale must be a string`);
+      }
+      const evidence = Array.isArray(competency?.evidence)
+        ? competency.evidence.filter(quote => typeof quote === 'string' && quote.trim()).map(quote => quote.trim())
+        : null;
+      if (!evidence || evidence.length > 5) {
+        errors.push(`competencies[${idx}].evidence must be an array of at most 5 quotes`);
+      }
+      return {
+        name: (competency?.name || '').trim(),
+        score: competency?.score,
+        rationale: (competency?.rationale || '').trim(),
+        evidence: evidence || []
+      };
+    });
+  }
+
+  if (rubric && competencies.length) {
+    const returned = new Map(competencies.map(c => [c.name.toLowerCase(), c]));
+    rubric.competencies.forEach(({ name }) => {
+      if (!returned.has(name.toLowerCase())) {
+        errors.push(`competencies is missing "${name}"`);
+      }
+    });
+    const expected = new Set(rubric.competencies.map(c => c.name.toLowerCase()));
+    competencies.forEach(({ name }) => {
+      if (!expected.has(name.toLowerCase())) {
+        errors.push(`competencies contains "${name}", which is not in the rubric`);
+      }
+    });
+    // Report in rubric order with the rubric's spelling and weight
+    competencies = rubric.competencies
+      .filter(({ name }) => returned.has(name.toLowerCase()))
+      .map(({ name, weight }) => ({ ...returned.get(name.toLowerCase()), name, weight }));
+  }
+
+  const summary = checkStringList(errors, candidate.summary, 'summary', { min: 1, max: 6 });
+  const strengths = checkStringList(errors, candidate.strengths, 'strengths', { min: 1, max: 8 });
+  const risks = checkStringList(errors, candidate.risks, 'risks', { min: 1, max: 8 });
+  const nextStepQuestions = checkStringList(errors, candidate.nextStepQuestions, 'nextStepQuestions', { min: 1, max: 6 });
+
+  const recommendation = candidate.recommendation;
+  if (!recommendation || !RECOMMENDATIONS.includes(recommendation.decision)) {
+    errors.push(`recommendation.decision must be one of: ${RECOMMENDATIONS.join(', ')}`);
+  }
+  if (typeof recommendation?.rationale !== 'string' || !recommendation.rationale.trim()) {
+    errors.push('recommendation.rationale must be a non-empty string');
+  }
+
+  let resumeComparison = null;
+  if (hasResume) {
+    const comparison = candidate.resumeComparison;
+    if (typeof comparison?.summary !== 'string' || !comparison.summary.trim()) {
+      errors.push('resumeComparison.summary must be a non-empty string');
+    }
+    const discrepancies = checkStringList(errors, comparison?.discrepancies, 'resumeComparison.discrepancies', { min: 0, max: 8 });
+    resumeComparison = { summary: (comparison?.summary || '').trim(), discrepancies };
+  }
+
+  if (errors.length) {
+    return { errors };
+  }
+
+  return {
+    analysis: {
+      overallScore: rubric ? computeWeightedScore(rubric, competencies) : candidate.overallScore,
+      scoringMethod: rubric ? 'weighted_rubric' : 'model',
+      competencies,
+      summary,
+      strengths,
+      risks,
+      recommendation: { decision: recommendation.decision, rationale: recommendation.rationale.trim() },
+      nextStepQuestions,
+      ...(resumeComparison ? { resumeComparison } : {})
+    }
+  };
+}
+
+// Calls invokeModel({ system, messages, session }) -> text until the output validates, feeding the
+// validation errors back to the model between attempts. Throws after maxAttempts.
+export async function runStructuredAnalysis({ transcript, session, invokeModel, maxAttempts = 3 }) {
+  const rubric = session.rubric || null;
+  const hasResume = !!session.resume?.text;
+  const system = buildAnalysisSystemPrompt(rubric, { hasResume });
+  const messages = [{ role: 'user', content: buildAnalysisUserContent(transcript, session) }];
+  let lastErrors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const text = await invokeModel({ system, messages, session });
+    let parsed = null;
+    try {
+      parsed = extractJson(text);
+    } catch (err) {
+      lastErrors = [err.message];
+    }
+
+    if (parsed) {
+      const { analysis, errors } = validateAnalysis(parsed, { rubric, hasResume });
+      if (analysis) {
+        return { analysis, attempts: attempt };
+      }
+      lastErrors = errors;
+    }
+
+    console.warn(`Analysis attempt ${attempt}/${maxAttempts} failed validation:`, lastErrors.join('; '));
+    messages.push({ role: 'assistant', content: text || '(empty response)' });
+    messages.push({
+      role: 'user',
+      content: `Your previous response failed validation:\n- ${lastErrors.join('\n- ')}\nRespond again with only the corrected JSON object.`
+    });
+  }
+
+  const error = new Error(`Analysis output failed validation after ${maxAttempts} attempts: ${lastErrors.join('; ')}`);
+  error.validationErrors = lastErrors;
+  throw error;
+}
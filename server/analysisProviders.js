@@ -0,0 +1,161 @@
+import { BedrockRuntimeClient, InvokeModelCommand } from '@aws-sdk/client-bedrock-runtime';
+
+// LLM backends for the post-interview analysis. Each provider turns one conversation into the
+// text of the model's reply; runStructuredAnalysis does the prompting, parsing and validation,
+// so providers stay small:
+//   invokeModel({ system, messages, session, onUsage }) -> text
+// onUsage, when given, gets the raw token usage of each call so its cost can be counted.
+// A position can pick its provider; otherwise ANALYSIS_PROVIDER (or Bedrock) applies.
+export const ANALYSIS_PROVIDERS = ['bedrock', 'openai', 'azure', 'local', 'stub'];
+
+const MAX_TOKENS = 5000;
+const TEMPERATURE = 0.2;
+
+// Validates the analysisProvider posted with /api/create-position. Blank means the server
+// default. Returns { provider } or { error }.
+export function validateAnalysisProvider(input) {
+  if (input === undefined || input === null || input === '') return { provider: null };
+  if (!ANALYSIS_PROVIDERS.includes(input)) {
+    return { error: `analysisProvider must be one of: ${ANALYSIS_PROVIDERS.join(', ')}` };
+  }
+  return { provider: input };
+}
+
+function createBedrockProvider({ region, modelId }) {
+  const client = new BedrockRuntimeClient({ region });
+  return {
+    name: 'bedrock',
+    // Credentials come from the AWS default chain, so there is nothing to check up front
+    configured: !!modelId,
+    model: modelId,
+    async invokeModel({ system, messages, onUsage }) {
+      const command = new InvokeModelCommand({
+        modelId,
+        contentType: 'application/json',
+        accept: 'application/json',
+        body: JSON.stringify({
+          anthropic_version: 'bedrock-2023-05-31',
+          max_tokens: MAX_TOKENS,
+          temperature: TEMPERATURE,
+          system,
+          messages
+        })
+      });
+      const response = await client.send(command);
+      const json = JSON.parse(Buffer.from(response.body).toString('utf-8'));
+      onUsage?.(json.usage);
+      return Array.isArray(json.content)
+        ? json.content.map(part => part.text || '').join('\n')
+        : json.output_text || '';
+    }
+  };
+}
+
+// OpenAI, Azure OpenAI and local servers (vLLM, Ollama, llama.cpp and the like) all speak the
+// chat completions API; they differ in URL, auth header and model naming
+function createChatCompletionsProvider({ name, url, headers, model, jsonMode, configured }) {
+  return {
+    name,
+    configured,
+    model,
+    async invokeModel({ system, messages, onUsage }) {
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers: { ...headers, 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            model,
+            max_tokens: MAX_TOKENS,
+            temperature: TEMPERATURE,
+            messages: [{ role: 'system', content: system }, ...messages],
+            ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+          })
+        });
+      } catch (err) {
+        throw new Error(`${name} analysis endpoint could not be reached: ${err.cause?.code || err.message}`);
+      }
+      if (!response.ok) {
+        const detail = (await response.text().catch(() => '')).slice(0, 300);
+        throw new Error(`${name} analysis request failed with ${response.status}${detail ? `: ${detail}` : ''}`);
+      }
+      const data = await response.json();
+      onUsage?.(data.usage);
+      return data.choices?.[0]?.message?.content || '';
+    }
+  };
+}
+
+// Deterministic analysis with no model behind it, for running the pipeline offline. It scores
+// every competency 60 and quotes nothing. With fail set it always throws, to exercise retries.
+function createStubProvider({ enabled, fail = false }) {
+  return {
+    name: 'stub',
+    configured: !!enabled,
+    model: 'stub',
+    async invokeModel({ session }) {
+      if (fail) {
+        throw new Error('Stub analysis provider is set to fail');
+      }
+      const names = session.rubric?.competencies?.map(competency => competency.name)
+        || ['Communication', 'Problem solving', 'Role knowledge'];
+      return JSON.stringify({
+        overallScore: 60,
+        competencies: names.map(name => ({ name, score: 60, rationale: 'Stub analysis; no model was consulted.', evidence: [] })),
+        summary: ['Stub analysis generated without a model.', 'Scores are placeholders for testing.', 'Do not use for hiring decisions.'],
+        strengths: ['Not assessed (stub)', 'Not assessed (stub)', 'Not assessed (stub)'],
+        risks: ['Not assessed (stub)', 'Not assessed (stub)', 'Not assessed (stub)'],
+        recommendation: { decision: 'hold', rationale: 'Stub analysis; review the transcript.' },
+        nextStepQuestions: ['Stub question 1?', 'Stub question 2?', 'Stub question 3?'],
+        ...(session.resume?.text ? { resumeComparison: { summary: 'Not compared (stub).', discrepancies: [] } } : {})
+      });
+    }
+  };
+}
+
+export function createAnalysisProviders({ bedrock = {}, openai = {}, azure = {}, local = {}, stub = {}, defaultProvider = null }) {
+  const providers = {
+    bedrock: createBedrockProvider(bedrock),
+    openai: createChatCompletionsProvider({
+      name: 'openai',
+      url: `${openai.baseUrl || 'https://api.openai.com/v1'}/chat/completions`,
+      headers: { Authorization: `Bearer ${openai.apiKey}` },
+      model: openai.model,
+      jsonMode: true,
+      configured: !!(openai.apiKey && openai.model)
+    }),
+    // Azure's v1 API takes the deployment name as the model
+    azure: createChatCompletionsProvider({
+      name: 'azure',
+      url: `${azure.endpoint}/openai/v1/chat/completions`,
+      headers: { 'api-key': azure.apiKey },
+      model: azure.deployment,
+      jsonMode: true,
+      configured: !!(azure.endpoint && azure.deployment && azure.apiKey)
+    }),
+    // Local servers don't all support response_format, so the prompt alone asks for JSON
+    local: createChatCompletionsProvider({
+      name: 'local',
+      url: `${(local.baseUrl || '').replace(/\/$/, '')}/chat/completions`,
+      headers: local.apiKey ? { Authorization: `Bearer ${local.apiKey}` } : {},
+      model: local.model,
+      jsonMode: false,
+      configured: !!(local.baseUrl && local.model)
+    }),
+    stub: createStubProvider(stub)
+  };
+  const fallbackName = ANALYSIS_PROVIDERS.includes(defaultProvider) ? defaultProvider : 'bedrock';
+
+  // The provider for a session: its position's choice, else the server default. An
+  // unconfigured choice is an error rather than a silent switch to another backend.
+  function forSession(session) {
+    const name = session.analysisProvider || fallbackName;
+    const provider = providers[name];
+    if (!provider?.configured) {
+      throw new Error(`Analysis provider "${name}" is not configured`);
+    }
+    return provider;
+  }
+
+  return { get: (name) => providers[name], forSession, defaultName: fallbackName };
+}
@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+
+export const ROLES = ['admin', 'recruiter', 'reviewer'];
+
+// Role groups used to gate routes
+export const ANY_STAFF = ROLES;
+export const CAN_MANAGE_POSITIONS = ['admin', 'recruiter'];
+export const ADMIN_ONLY = ['admin'];
+
+const SESSION_COOKIE = 'ai_interview_sid';
+const SCRYPT_KEYLEN = 64;
+const SCRYPT_COST = 16384;
+const MIN_PASSWORD_LENGTH = 10;
+
+// Passwords are stored as scrypt$<N>$<salt>$<hash> so the cost can be raised later
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN, { N: SCRYPT_COST });
+  return `scrypt$${SCRYPT_COST}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, cost, saltB64, hashB64] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, 'base64');
+  const actual = crypto.scryptSync(password, Buffer.from(saltB64, 'base64'), expected.length, { N: Number(cost) });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+export function validateNewUser({ username, password, role }) {
+  if (!username || !/^[a-zA-Z0-9._@-]{3,64}$/.test(username)) {
+    return 'Username must be 3-64 characters (letters, digits, . _ @ -)';
+  }
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (!ROLES.includes(role)) {
+    return `Role must be one of: ${ROLES.join(', ')}`;
+  }
+  return null;
+}
+
+// Strip credentials before a user object leaves the server
+export function publicUser(user) {
+  return user ? { userId: user.userId, username: user.username, role: user.role, createdAt: user.createdAt } : null;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const idx = part.indexOf('=');
+    if (idx < 0) return;
+    const key = part.slice(0, idx).trim();
+    if (!key) return;
+    const value = part.slice(idx + 1).trim();
+    // A malformed escape in someone else's cookie must not break every request; keep it raw
+    try {
+      cookies[key] = decodeURIComponent(value);
+    } catch {
+      cookies[key] = value;
+    }
+  });
+  return cookies;
+}
+
+export function createAuth({ storage, sessionTtlHours = 12, secureCookies = false }) {
+  const ttlMs = sessionTtlHours * 60 * 60 * 1000;
+
+  function cookieAttributes(maxAgeSeconds) {
+    const attrs = [`Path=/`, 'HttpOnly', 'SameSite=Lax', `Max-Age=${maxAgeSeconds}`];
+    if (secureCookies) attrs.push('Secure');
+    return attrs.join('; ');
+  }
+
+  // Create a user from ADMIN_USERNAME / ADMIN_PASSWORD when the users table is empty
+  function bootstrapAdmin({ username, password }) {
+    if (storage.countUsers() > 0) return null;
+    if (!username || !password) {
+      console.warn('No users exist; set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin account');
+      return null;
+    }
+    const error = validateNewUser({ username, password, role: 'admin' });
+    if (error) {
+      console.error(`Cannot create bootstrap admin: ${error}`);
+      return null;
+    }
+    const user = storage.saveUser({
+      userId: crypto.randomUUID(),
+      username,
+      passwordHash: hashPassword(password),
+      role: 'admin'
+    });
+    console.log(`Created bootstrap admin account "${username}"`);
+    return user;
+  }
+
+  function login(res, username, password) {
+    const user = storage.getUserByUsername(username || '');
+    if (!user || !verifyPassword(password || '', user.passwordHash)) {
+      return null;
+    }
+    const token = crypto.randomBytes(32).toString('base64url');
+    storage.createAuthSession({
+      tokenHash: hashToken(token),
+      userId: user.userId,
+      expiresAt: new Date(Date.now() + ttlMs).toISOString()
+    });
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${token}; ${cookieAttributes(Math.floor(ttlMs / 1000))}`);
+    return user;
+  }
+
+  function logout(req, res) {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (token) storage.deleteAuthSession(hashToken(token));
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; ${cookieAttributes(0)}`);
+  }
+
+  // Attaches req.user when a valid session cookie is present; never rejects on its own
+  function authenticate(req, res, next) {
+    req.user = null;
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (token) {
+      const authSession = storage.getAuthSession(hashToken(token));
+      if (authSession) {
+        req.user = storage.getUser(authSession.userId);
+      }
+    }
+    next();
+  }
+
+  // API guard: 401 when signed out, 403 when the role is not allowed
+  function requireRole(roles) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'You do not have permission to do that' });
+      }
+      next();
+    };
+  }
+
+  // Page guard: send signed-out browsers to the login page instead of returning JSON
+  function requirePageRole(roles) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      if (!roles.includes(req.user.role)) {
+        return res.status(403).send('Forbidden');
+      }
+      next();
+    };
+  }
+
+  return {
+    bootstrapAdmin,
+    login,
+    logout,
+    authenticate,
+    requireRole,
+    requirePageRole,
+    purgeExpiredSessions: () => storage.purgeExpiredAuthSessions()
+  };
+}
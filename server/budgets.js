@@ -0,0 +1,92 @@
+// Spending limits on interviews, measured with the per-session costs the server records: the
+// realtime usage reports plus the analysis model calls. A position can cap its total spend and
+// the cost of each interview; the monthly cap covers every position. Unpriced usage counts as
+// zero.
+const MAX_BUDGET_USD = 1000000;
+
+// A session's spend so far, realtime and analysis together
+export const sessionCost = (session) => (session.usage?.costUSD?.total || 0) + (session.analysisUsage?.costUSD || 0);
+const roundUsd = (value) => Number(value.toFixed(6));
+
+// Validates the budget posted with /api/create-position. Returns { budget } or { error }.
+export function validateBudget(input) {
+  const budget = { totalUSD: null, perInterviewUSD: null };
+  if (input === undefined || input === null) return { budget };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'budget must be an object' };
+  }
+  for (const field of Object.keys(budget)) {
+    const raw = input[field];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value <= 0 || value > MAX_BUDGET_USD) {
+      return { error: `budget.${field} must be a positive amount in USD` };
+    }
+    budget[field] = roundUsd(value);
+  }
+  return { budget };
+}
+
+// First instant of the current UTC month
+export function monthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+}
+
+// 'ok', 'warning' once spend reaches warningRatio of the cap, 'exceeded' at the cap
+export function budgetState(spentUSD, capUSD, warningRatio) {
+  if (!capUSD) return 'ok';
+  if (spentUSD >= capUSD) return 'exceeded';
+  return spentUSD >= capUSD * warningRatio ? 'warning' : 'ok';
+}
+
+export function createBudgets({ storage, monthlyCapUSD = null, warningRatio = 0.8, defaultPerInterviewUSD = null }) {
+  const describe = (spentUSD, capUSD) => ({
+    spentUSD: roundUsd(spentUSD),
+    capUSD,
+    state: budgetState(spentUSD, capUSD, warningRatio)
+  });
+
+  function monthly() {
+    const since = monthStart();
+    const spent = storage.listSessions({ createdSince: since }).reduce((sum, s) => sum + sessionCost(s), 0);
+    return { ...describe(spent, monthlyCapUSD), since };
+  }
+
+  function forPosition(position) {
+    const spent = storage.listSessions({ positionId: position.positionId }).reduce((sum, s) => sum + sessionCost(s), 0);
+    return describe(spent, position.budget?.totalUSD || null);
+  }
+
+  // Per-interview ceiling snapshotted onto each new session
+  function ceilingFor(position) {
+    return position.budget?.perInterviewUSD || defaultPerInterviewUSD;
+  }
+
+  // Returns null when a new interview may start, otherwise { scope, status }. position is
+  // optional so negotiation calls that don't name a session still honour the monthly cap.
+  function blockNewInterview(position) {
+    const month = monthly();
+    if (month.state === 'exceeded') return { scope: 'monthly', status: month };
+    if (position) {
+      const status = forPosition(position);
+      if (status.state === 'exceeded') return { scope: 'position', status };
+    }
+    return null;
+  }
+
+  // Monthly totals plus every position at or near its cap, for the admin dashboard
+  function overview() {
+    const alerts = storage.listPositions()
+      .filter(position => position.budget?.totalUSD)
+      .map(position => ({ positionId: position.positionId, jobTitle: position.jobTitle, ...forPosition(position) }))
+      .filter(status => status.state !== 'ok');
+    return {
+      monthly: monthly(),
+      warningPercent: Math.round(warningRatio * 100),
+      defaultPerInterviewUSD,
+      alerts
+    };
+  }
+
+  return { monthly, forPosition, ceilingFor, blockNewInterview, overview };
+}
@@ -0,0 +1,145 @@
+import fs from 'fs';
+
+export const USAGE_KINDS = ['response', 'transcription'];
+const TOKEN_FIELDS = ['textInput', 'cachedTextInput', 'audioInput', 'cachedAudioInput', 'textOutput', 'audioOutput'];
+
+const count = (value) => (Number.isFinite(value) && value > 0 ? Math.round(value) : 0);
+const roundUsd = (value) => Number(value.toFixed(6));
+
+export function loadRealtimeRates(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Finds the rate card for a model. Dated snapshots (gpt-realtime-mini-2025-10-06) fall back
+// to the longest matching base name; aliases map e.g. an Azure deployment name to a model.
+export function resolveRateModel(rates, model, aliases = {}) {
+  const name = aliases[model] || model;
+  if (!name) return null;
+  const models = Object.keys(rates).filter(key => key !== 'metadata' && key !== 'transcription' && rates[key]?.text);
+  if (models.includes(name)) return name;
+  return models
+    .filter(key => name.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+// Token counts from a response.done usage block. Cached tokens are split out of the input
+// counts so each bucket is billed once at its own rate.
+export function normalizeResponseUsage(usage) {
+  const input = usage?.input_token_details || {};
+  const output = usage?.output_token_details || {};
+  const cachedTotal = count(input.cached_tokens);
+  const cachedAudio = count(input.cached_tokens_details?.audio_tokens);
+  const cachedText = input.cached_tokens_details?.text_tokens !== undefined
+    ? count(input.cached_tokens_details.text_tokens)
+    : Math.max(cachedTotal - cachedAudio, 0);
+  return {
+    textInput: Math.max(count(input.text_tokens) - cachedText, 0),
+    cachedTextInput: cachedText,
+    audioInput: Math.max(count(input.audio_tokens) - cachedAudio, 0),
+    cachedAudioInput: cachedAudio,
+    textOutput: count(output.text_tokens),
+    audioOutput: count(output.audio_tokens)
+  };
+}
+
+// whisper-1 reports billed seconds; when it doesn't, use the speech time measured by the client
+export function normalizeTranscriptionUsage(usage, speechSeconds) {
+  const seconds = usage?.type === 'duration' && Number.isFinite(usage.seconds)
+    ? usage.seconds
+    : (Number.isFinite(speechSeconds) && speechSeconds > 0 ? speechSeconds : 0);
+  return {
+    seconds: Number(Math.min(seconds, 3600).toFixed(2)),
+    tokens: count(usage?.total_tokens)
+  };
+}
+
+// Totals and USD cost for one session's usage events. Tokens for models missing from the
+// rates file are still counted, but the cost is marked unpriced rather than guessed.
+export function summarizeUsage(events, rates, { model, transcriptionModel = 'whisper-1', aliases } = {}) {
+  const tokens = Object.fromEntries(TOKEN_FIELDS.map(field => [field, 0]));
+  let transcriptionSeconds = 0;
+  let responses = 0;
+  events.forEach(event => {
+    if (event.kind === 'response') {
+      responses += 1;
+      TOKEN_FIELDS.forEach(field => { tokens[field] += event.usage[field] || 0; });
+    } else if (event.kind === 'transcription') {
+      transcriptionSeconds += event.usage.seconds || 0;
+    }
+  });
+
+  const rateModel = resolveRateModel(rates, model, aliases);
+  const card = rateModel ? rates[rateModel] : null;
+  const perMillion = (tokenCount, rate) => (tokenCount / 1_000_000) * (rate || 0);
+  const transcriptionRate = rates.transcription?.[transcriptionModel]?.per_minute;
+
+  const cost = card ? {
+    textInput: perMillion(tokens.textInput, card.text.input_per_million),
+    cachedTextInput: perMillion(tokens.cachedTextInput, card.text.cached_input_per_million),
+    audioInput: perMillion(tokens.audioInput, card.audio.input_per_million),
+    cachedAudioInput: perMillion(tokens.cachedAudioInput, card.audio.cached_input_per_million),
+    textOutput: perMillion(tokens.textOutput, card.text.output_per_million),
+    audioOutput: perMillion(tokens.audioOutput, card.audio.output_per_million),
+    transcription: (transcriptionSeconds / 60) * (transcriptionRate || 0)
+  } : null;
+
+  return {
+    model: model || null,
+    rateModel,
+    currency: rates.metadata?.currency || 'USD',
+    responses,
+    tokens,
+    transcriptionSeconds: Number(transcriptionSeconds.toFixed(2)),
+    costUSD: cost
+      ? {
+        ...Object.fromEntries(Object.entries(cost).map(([key, value]) => [key, roundUsd(value)])),
+        total: roundUsd(Object.values(cost).reduce((sum, value) => sum + value, 0))
+      }
+      : null,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// Finds the rate card for an analysis model. Bedrock ids wrap the name in a region prefix and
+// a version suffix (us.anthropic.claude-haiku-4-5-20251001-v1:0), so the longest rate name
+// the id contains wins.
+export function resolveAnalysisRateModel(rates, model) {
+  if (!model) return null;
+  return Object.keys(rates)
+    .filter(key => key !== 'metadata' && Number.isFinite(rates[key]?.input_per_million) && model.includes(key))
+    .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+// Token counts from one analysis call, as Bedrock (input_tokens) or a chat completions API
+// (prompt_tokens) reports them
+export function normalizeAnalysisUsage(usage) {
+  return {
+    inputTokens: count(usage?.input_tokens ?? usage?.prompt_tokens),
+    outputTokens: count(usage?.output_tokens ?? usage?.completion_tokens)
+  };
+}
+
+// Adds one analysis run's calls to a session's running analysis usage. Every call is billed,
+// retries and failed runs included. Calls to models missing from the rates file add tokens
+// but no cost, and mark the total as partly unpriced.
+export function addAnalysisUsage(previous, calls, rates, { provider, model }) {
+  const rateModel = resolveAnalysisRateModel(rates, model);
+  const card = rateModel ? rates[rateModel] : null;
+  const inputTokens = calls.reduce((sum, call) => sum + call.inputTokens, 0);
+  const outputTokens = calls.reduce((sum, call) => sum + call.outputTokens, 0);
+  const cost = card
+    ? (inputTokens / 1_000_000) * card.input_per_million + (outputTokens / 1_000_000) * card.output_per_million
+    : 0;
+  return {
+    provider,
+    model: model || null,
+    rateModel,
+    currency: rates.metadata?.currency || 'USD',
+    calls: (previous?.calls || 0) + calls.length,
+    inputTokens: (previous?.inputTokens || 0) + inputTokens,
+    outputTokens: (previous?.outputTokens || 0) + outputTokens,
+    costUSD: roundUsd((previous?.costUSD || 0) + cost),
+    unpriced: !!previous?.unpriced || (!card && calls.length > 0),
+    updatedAt: new Date().toISOString()
+  };
+}
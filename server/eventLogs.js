@@ -0,0 +1,105 @@
+import fs from 'fs';
+import path from 'path';
+import { redactAudioPayloads } from '../public/src/realtimeEvents.js';
+
+const MAX_ENTRY_BYTES = 256 * 1024;
+const MAX_ENTRIES_PER_BATCH = 5000;
+
+// Parses a batch of the interview page's event log: NDJSON, one { ts, type, event } per line,
+// as captured in window.__evtLog. Returns { entries } or { error }.
+export function parseEventLogBatch(text) {
+  const lines = String(text || '').split('\n').filter(line => line.trim());
+  if (!lines.length) {
+    return { error: 'No events in the batch' };
+  }
+  if (lines.length > MAX_ENTRIES_PER_BATCH) {
+    return { error: `At most ${MAX_ENTRIES_PER_BATCH} events per batch` };
+  }
+  const entries = [];
+  for (const [index, line] of lines.entries()) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      return { error: `Line ${index + 1} is not JSON` };
+    }
+    if (!entry || typeof entry !== 'object' || typeof entry.type !== 'string' || !Number.isFinite(entry.ts)) {
+      return { error: `Line ${index + 1} needs ts and type` };
+    }
+    entries.push({ ts: entry.ts, type: entry.type.slice(0, 128), event: entry.event ?? null });
+  }
+  return { entries };
+}
+
+// Realtime event logs uploaded by the interview page, for replaying an interview after the
+// fact. Each session's log is an append-only NDJSON file; the page uploads batches numbered
+// by their position in its log (from), so a re-sent batch is stored once. Totals live on the
+// session as eventLog. Past maxBytes the log stops growing and is marked truncated.
+export function createEventLogs({ storage, dir, redactAudio = true, maxBytes = 20 * 1024 * 1024 }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = (sessionId) => path.join(dir, `${sessionId}.ndjson`);
+
+  // Returns { count } with how much of the page's log is now stored, or { error, code, count }
+  function append(sessionId, from, entries) {
+    let result = null;
+    const session = storage.updateSession(sessionId, (session) => {
+      const log = session.eventLog || { count: 0, bytes: 0, dropped: 0, truncated: false, redactedAudio: redactAudio };
+      // A gap means an earlier batch never arrived; the page resends from count
+      if (from > log.count) {
+        result = { error: 'Events are missing before this batch', code: 409, count: log.count };
+        return;
+      }
+      const fresh = entries.slice(log.count - from);
+      const lines = [];
+      for (const [index, entry] of fresh.entries()) {
+        const event = redactAudio ? redactAudioPayloads(entry.event) : entry.event;
+        let line = JSON.stringify({ seq: log.count + index, ts: entry.ts, type: entry.type, event });
+        if (Buffer.byteLength(line) > MAX_ENTRY_BYTES) {
+          line = JSON.stringify({ seq: log.count + index, ts: entry.ts, type: entry.type, event: null, oversized: true });
+        }
+        lines.push(line);
+      }
+      const text = lines.length ? `${lines.join('\n')}\n` : '';
+      const bytes = Buffer.byteLength(text);
+      if (log.truncated || log.bytes + bytes > maxBytes) {
+        log.truncated = true;
+        log.dropped += fresh.length;
+      } else if (text) {
+        fs.appendFileSync(fileFor(sessionId), text, 'utf8');
+        log.bytes += bytes;
+      }
+      log.count += fresh.length;
+      log.updatedAt = new Date().toISOString();
+      session.eventLog = log;
+      result = { count: log.count };
+    });
+    if (!session) {
+      return { error: 'Session not found', code: 404 };
+    }
+    return result;
+  }
+
+  // Stored entries from seq onwards, oldest first
+  function load(sessionId, { from = 0, limit = 5000 } = {}) {
+    let text = '';
+    try {
+      text = fs.readFileSync(fileFor(sessionId), 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    const entries = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.seq >= from) entries.push(entry);
+      } catch {
+        // a line cut short by a crash mid-write; skip it
+      }
+      if (entries.length >= limit) break;
+    }
+    return entries;
+  }
+
+  return { append, load, redactAudio };
+}
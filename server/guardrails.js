@@ -0,0 +1,68 @@
+// Rules the interview page enforces on what the interviewer says. A position picks which rules
+// apply and can name extra off-limits phrases; the page cuts off a violating response, steers
+// the model back and reports the incident here to be kept on the session.
+import { GUARDRAIL_RULES, GUARDRAIL_INCIDENT_RULES, DEFAULT_GUARDRAILS } from '../public/src/guardrailRules.js';
+
+export { GUARDRAIL_RULES, DEFAULT_GUARDRAILS };
+const MAX_BLOCKED_PHRASES = 50;
+const MAX_PHRASE_LENGTH = 100;
+const MAX_INCIDENTS_PER_SESSION = 100;
+
+// Validates the guardrails posted with /api/create-position. Returns { guardrails } or { error }.
+export function validateGuardrails(input) {
+  input = input ?? {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'guardrails must be an object' };
+  }
+
+  let rules = [...GUARDRAIL_RULES];
+  if (input.rules !== undefined) {
+    if (!Array.isArray(input.rules) || input.rules.some(rule => !GUARDRAIL_RULES.includes(rule))) {
+      return { error: `guardrails.rules must only contain ${GUARDRAIL_RULES.join(', ')}` };
+    }
+    rules = GUARDRAIL_RULES.filter(rule => input.rules.includes(rule));
+  }
+
+  const rawPhrases = input.blockedPhrases ?? [];
+  if (!Array.isArray(rawPhrases) || rawPhrases.some(phrase => typeof phrase !== 'string')) {
+    return { error: 'guardrails.blockedPhrases must be a list of phrases' };
+  }
+  const blockedPhrases = [...new Set(rawPhrases.map(phrase => phrase.trim().toLowerCase()).filter(Boolean))];
+  if (blockedPhrases.length > MAX_BLOCKED_PHRASES) {
+    return { error: `At most ${MAX_BLOCKED_PHRASES} blocked phrases are allowed` };
+  }
+  if (blockedPhrases.some(phrase => phrase.length > MAX_PHRASE_LENGTH)) {
+    return { error: `Blocked phrases must be at most ${MAX_PHRASE_LENGTH} characters` };
+  }
+  return { guardrails: { rules, blockedPhrases } };
+}
+
+const clip = (value, max) => (typeof value === 'string' ? value.slice(0, max) : null);
+
+// Normalizes an incident reported by the interview page. Returns { incident } or { error }.
+export function normalizeGuardrailIncident(input) {
+  if (!input || !GUARDRAIL_INCIDENT_RULES.includes(input.rule)) {
+    return { error: `rule must be one of ${GUARDRAIL_INCIDENT_RULES.join(', ')}` };
+  }
+  return {
+    incident: {
+      rule: input.rule,
+      detail: clip(input.detail, 200),
+      text: clip(input.text, 2000),
+      itemId: clip(input.itemId, 128),
+      responseId: clip(input.responseId, 128),
+      agent: clip(input.agent, 50),
+      action: input.action === 'end' ? 'end' : 'steer',
+      at: new Date().toISOString()
+    }
+  };
+}
+
+// Appends an incident to the session record, ignoring repeats for the same response
+export function recordGuardrailIncident(session, incident) {
+  const incidents = session.guardrailIncidents || [];
+  const duplicate = incident.responseId && incidents.some(existing => existing.responseId === incident.responseId);
+  if (duplicate || incidents.length >= MAX_INCIDENTS_PER_SESSION) return false;
+  session.guardrailIncidents = [...incidents, incident];
+  return true;
+}
@@ -0,0 +1,119 @@
+// Statuses for interviews that stopped without the candidate finishing them
+export const ENDED_EARLY_STATUSES = ['incomplete', 'abandoned'];
+
+// Statuses a session never leaves
+export const TERMINAL_STATUSES = ['completed', ...ENDED_EARLY_STATUSES];
+
+// 'incomplete' once the candidate has said anything, 'abandoned' if they never answered
+export function classifyEndedSession(transcriptItems) {
+  const candidateSpoke = transcriptItems.some(item => item.role === 'user' && item.text && item.text.trim());
+  return candidateSpoke ? 'incomplete' : 'abandoned';
+}
+
+// Tracks client heartbeats for in-progress interviews. A session whose client has gone quiet
+// for timeoutMs, or that reported leaving the page and did not come back within leaveGraceMs,
+// is closed as incomplete/abandoned and handed to onEndedEarly so its partial transcript and
+// recording can be finalized. The grace period lets a reloaded page carry on with the session.
+export function createHeartbeatMonitor({ storage, loadTranscript, timeoutMs = 2 * 60 * 1000, leaveGraceMs = 60 * 1000, onEndedEarly }) {
+  // Returns { session } or { error, code } when the session is not running
+  function beat(sessionId) {
+    return storage.transaction(() => {
+      const session = storage.getSession(sessionId);
+      if (!session) return { code: 404, error: 'Session not found' };
+      if (session.status !== 'in-progress') {
+        return { code: 409, error: `Session is ${session.status}` };
+      }
+      session.lastHeartbeatAt = new Date().toISOString();
+      session.leftPageAt = null;
+      return { session: storage.saveSession(session) };
+    });
+  }
+
+  // The interview page connected. Returns { session } or { error, code } once it has ended.
+  function markStarted(sessionId) {
+    return storage.transaction(() => {
+      const session = storage.getSession(sessionId);
+      if (!session) return { code: 404, error: 'Session not found' };
+      if (TERMINAL_STATUSES.includes(session.status)) {
+        return { code: 409, error: `Session is ${session.status}` };
+      }
+      session.status = 'in-progress';
+      session.startedAt = session.startedAt || new Date().toISOString();
+      session.leftPageAt = null;
+      return { session: storage.saveSession(session) };
+    });
+  }
+
+  // The interview ran to its end. Only a running session can complete; one already closed as
+  // incomplete or abandoned stays that way. Returns { session } or { error, code }.
+  function complete(sessionId) {
+    return storage.transaction(() => {
+      const session = storage.getSession(sessionId);
+      if (!session) return { code: 404, error: 'Session not found' };
+      if (session.status === 'completed') return { session };
+      if (session.status !== 'in-progress') {
+        return { code: 409, error: `Session is ${session.status}` };
+      }
+      session.status = 'completed';
+      session.completedAt = new Date().toISOString();
+      return { session: storage.saveSession(session) };
+    });
+  }
+
+  // The page said it is going away. That also happens on a reload, so the session is only
+  // closed by the sweep once leaveGraceMs passes without the page starting or beating again.
+  // Returns the session, or null unless it is in progress.
+  function noteLeft(sessionId) {
+    return storage.transaction(() => {
+      const session = storage.getSession(sessionId);
+      if (!session || session.status !== 'in-progress') return null;
+      session.leftPageAt = session.leftPageAt || new Date().toISOString();
+      return storage.saveSession(session);
+    });
+  }
+
+  // reason: 'heartbeat_timeout' or 'left_page'. No-op unless the session is still in progress.
+  async function endEarly(sessionId, reason) {
+    const session = storage.transaction(() => {
+      const current = storage.getSession(sessionId);
+      if (!current || current.status !== 'in-progress') return null;
+      current.status = classifyEndedSession(loadTranscript(sessionId));
+      current.endedAt = new Date().toISOString();
+      current.endReason = reason;
+      return storage.saveSession(current);
+    });
+    if (!session) return null;
+    console.log(`Session ${sessionId} marked ${session.status} (${reason})`);
+    await onEndedEarly(session);
+    return session;
+  }
+
+  async function sweep() {
+    const cutoff = Date.now() - timeoutMs;
+    const leaveCutoff = Date.now() - leaveGraceMs;
+    const inProgress = storage.listSessions({ status: 'in-progress' });
+    const left = inProgress.filter(session => session.leftPageAt && Date.parse(session.leftPageAt) < leaveCutoff);
+    const stale = inProgress.filter(session => !left.includes(session)).filter(session => {
+      const lastSeen = Date.parse(session.lastHeartbeatAt || session.startedAt || session.createdAt);
+      return Number.isNaN(lastSeen) || lastSeen < cutoff;
+    });
+    const ending = [
+      ...left.map(session => [session, 'left_page']),
+      ...stale.map(session => [session, 'heartbeat_timeout'])
+    ];
+    for (const [session, reason] of ending) {
+      try {
+        await endEarly(session.sessionId, reason);
+      } catch (err) {
+        console.error(`Failed to close stale session ${session.sessionId}:`, err);
+      }
+    }
+  }
+
+  function start() {
+    sweep();
+    setInterval(sweep, Math.max(5000, Math.min(timeoutMs / 2, leaveGraceMs, 30 * 1000))).unref();
+  }
+
+  return { beat, markStarted, complete, noteLeft, endEarly, sweep, start };
+}
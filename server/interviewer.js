@@ -0,0 +1,56 @@
+import {
+  CONDUCT_RULES, endInterviewTool, recordPrimaryQuestionTool, markQuestionAskedTool, transferToCloserTool
+} from '../public/src/interviewTools.js';
+
+// What the realtime interviewer is told, built here so the script never reaches the browser.
+// The instructions and tools go into the client secret (or server-side SDP) request; the
+// interview page only binds handlers to the tools. The tool definitions and conduct rules live
+// in public/src/interviewTools.js, which the page imports too.
+export function interviewerInstructions(session) {
+  const candidate = session.candidateName?.trim() || 'the candidate';
+  const role = session.jobTitle ? ` for the ${session.jobTitle} role` : '';
+  return `${session.systemPrompt}
+
+When the session starts, greet ${candidate}${role}, introduce yourself as the AI interviewer and smoothly move into the first question. When the interview is over, hand off to the Closer instead of saying goodbye yourself. If you are told to wrap up, do it right away.
+
+${CONDUCT_RULES}`;
+}
+
+// Competency names offered to record_primary_question; the page gets the same list
+export function interviewCompetencies(session) {
+  const names = session.rubric?.competencies?.map(competency => competency.name) || [];
+  return names.length ? [...names, 'General'] : [];
+}
+
+export function interviewerTools(session) {
+  const questionIds = session.questionBank?.questions?.map(question => question.id) || [];
+  return [
+    endInterviewTool(),
+    recordPrimaryQuestionTool(interviewCompetencies(session)),
+    transferToCloserTool(),
+    ...(questionIds.length ? [markQuestionAskedTool(questionIds)] : [])
+  ].map(definition => ({ type: 'function', ...definition }));
+}
+
+// What the interview page gets about a session: enough to show the interview and run the
+// tools, none of the prompt, job description or resume. serverNegotiation tells the page to
+// negotiate through /session; sidebandAttached says the server is running the record-keeping
+// tools on the current call. eventLog says whether to upload the realtime event log and redact
+// its audio.
+export function interviewDisplayData(session, { realtimeProfile, interviewLimits, serverNegotiation = false, sidebandAttached = false, eventLog = null }) {
+  return {
+    sessionId: session.sessionId,
+    status: session.status,
+    candidateName: session.candidateName,
+    jobTitle: session.jobTitle,
+    realtimeProfile,
+    interviewLimits,
+    guardrails: session.guardrails || null,
+    maxQuestions: session.maxQuestions || null,
+    competencies: interviewCompetencies(session),
+    questionIds: session.questionBank?.questions?.map(question => question.id) || [],
+    serverNegotiation,
+    sidebandAttached,
+    eventLog
+  };
+}
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+
+// Refusal reasons, shared by the JSON API and the interview page guard
+export const INVITATION_ERRORS = {
+  missing: {
+    status: 403,
+    title: 'Invitation required',
+    message: 'This interview can only be opened from the personal invitation link you received by email.'
+  },
+  invalid: {
+    status: 403,
+    title: 'Invalid invitation link',
+    message: 'This invitation link is not valid. Please check that you copied the full link from your email.'
+  },
+  expired: {
+    status: 410,
+    title: 'Invitation expired',
+    message: 'This invitation link has expired. Please contact the recruiter to request a new one.'
+  },
+  used: {
+    status: 410,
+    title: 'Invitation already used',
+    message: 'This invitation link has already been used to start an interview and cannot be used again.'
+  }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// Reads INVITE_SIGNING_SECRET, or generates one and keeps it in storage so links survive restarts
+export function resolveSigningSecret(storage, configured) {
+  if (configured) return configured;
+  let secret = storage.getMeta('invite_signing_secret');
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('base64url');
+    storage.setMeta('invite_signing_secret', secret);
+  }
+  return secret;
+}
+
+export function createInvitations({ storage, secret, ttlHours = 72 }) {
+  // Token format: base64url(JSON payload).hmac — the payload names the invitation row and its expiry
+  function encode(invitation) {
+    const payload = Buffer.from(JSON.stringify({
+      inv: invitation.invitationId,
+      pos: invitation.positionId,
+      exp: Date.parse(invitation.expiresAt)
+    })).toString('base64url');
+    return `${payload}.${sign(secret, payload)}`;
+  }
+
+  function decode(token) {
+    const [payload, signature] = (token || '').split('.');
+    if (!payload || !signature) return null;
+    const expected = Buffer.from(sign(secret, payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    try {
+      return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  function issue({ positionId, candidates, expiresInHours, createdBy }) {
+    const hours = Number(expiresInHours) > 0 ? Number(expiresInHours) : ttlHours;
+    const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+    return storage.transaction(() => candidates.map(({ email, name }) => {
+      const invitation = storage.saveInvitation({
+        invitationId: crypto.randomUUID(),
+        positionId,
+        email: email.toLowerCase(),
+        candidateName: name || null,
+        createdBy,
+        expiresAt
+      });
+      return { ...invitation, token: encode(invitation) };
+    }));
+  }
+
+  // Resolves a token to its invitation, or { reason } naming one of INVITATION_ERRORS
+  function verify(token, positionId) {
+    if (!token) return { reason: 'missing' };
+    const payload = decode(token);
+    if (!payload || (positionId && payload.pos !== positionId)) return { reason: 'invalid' };
+    const invitation = storage.getInvitation(payload.inv);
+    if (!invitation || invitation.positionId !== payload.pos) return { reason: 'invalid' };
+    if (invitation.usedAt) return { reason: 'used', invitation };
+    if (Date.now() >= Date.parse(invitation.expiresAt)) return { reason: 'expired', invitation };
+    return { invitation };
+  }
+
+  // Consume inside the caller's transaction so the session and the used flag are written together
+  function consume(invitation, sessionId) {
+    return storage.markInvitationUsed(invitation.invitationId, sessionId);
+  }
+
+  function list(positionId) {
+    const now = Date.now();
+    return storage.listInvitations({ positionId }).map(invitation => ({
+      ...invitation,
+      status: invitation.usedAt ? 'used' : (now >= Date.parse(invitation.expiresAt) ? 'expired' : 'open')
+    }));
+  }
+
+  return { issue, verify, consume, list };
+}
+
+// Accepts ["a@x.com"] or [{ email, name }] and returns normalized candidates plus any rejected entries
+export function parseInvitationCandidates(input) {
+  const candidates = [];
+  const rejected = [];
+  const seen = new Set();
+  (Array.isArray(input) ? input : []).forEach(entry => {
+    const email = (typeof entry === 'string' ? entry : entry?.email || '').trim();
+    const name = typeof entry === 'string' ? '' : (entry?.name || '').trim();
+    if (!EMAIL_PATTERN.test(email)) {
+      rejected.push(email || String(entry));
+      return;
+    }
+    const key = email.toLowerCase();
+    if (seen.has(key)) return;
+    seen.add(key);
+    candidates.push({ email, name });
+  });
+  return { candidates, rejected };
+}
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+
+export const JOB_STATUSES = ['pending', 'running', 'succeeded', 'failed'];
+
+// Exponential backoff with a little jitter so retries of a flaky dependency don't line up
+export function computeBackoffMs(attempt, { baseMs, maxMs }) {
+  const delay = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// Persistent background queue. Jobs live in storage, so pending work and retries survive a
+// restart; anything left "running" by a crash is picked up again on start().
+// handlers: { [type]: { run(job) -> result, concurrency, maxAttempts } }
+export function createJobQueue({ storage, handlers, pollIntervalMs = 1000, backoff = { baseMs: 5000, maxMs: 5 * 60 * 1000 } }) {
+  const running = new Map(Object.keys(handlers).map(type => [type, 0]));
+  let timer = null;
+  let stopped = true;
+
+  // Unless dedupe is off, reuses the pending/running job for the same session and type
+  function enqueue(type, payload = {}, { sessionId = null, dedupe = true } = {}) {
+    const handler = handlers[type];
+    if (!handler) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+    const job = storage.transaction(() => {
+      const active = sessionId && dedupe ? storage.findActiveJob(type, sessionId) : null;
+      return active || storage.insertJob({
+        jobId: crypto.randomUUID(),
+        type,
+        sessionId,
+        payload,
+        maxAttempts: handler.maxAttempts || 3
+      });
+    });
+    schedule(0);
+    return job;
+  }
+
+  function retry(jobId) {
+    const ok = storage.retryJob(jobId);
+    if (ok) schedule(0);
+    return ok;
+  }
+
+  async function execute(job) {
+    try {
+      const result = await handlers[job.type].run(job);
+      storage.completeJob(job.jobId, result);
+      console.log(`Job ${job.type} ${job.jobId} succeeded (attempt ${job.attempts})`);
+    } catch (err) {
+      const exhausted = job.attempts >= job.maxAttempts;
+      const runAt = exhausted ? null : new Date(Date.now() + computeBackoffMs(job.attempts, backoff)).toISOString();
+      storage.failJob(job.jobId, {
+        status: exhausted ? 'failed' : 'pending',
+        runAt,
+        error: err.message || String(err)
+      });
+      console.error(`Job ${job.type} ${job.jobId} attempt ${job.attempts}/${job.maxAttempts} failed:`, err.message);
+    } finally {
+      running.set(job.type, running.get(job.type) - 1);
+      schedule(0);
+    }
+  }
+
+  function tick() {
+    timer = null;
+    if (stopped) return;
+    for (const [type, handler] of Object.entries(handlers)) {
+      const limit = handler.concurrency || 1;
+      while (running.get(type) < limit) {
+        const job = storage.claimJob(type);
+        if (!job) break;
+        running.set(type, running.get(type) + 1);
+        execute(job);
+      }
+    }
+    schedule(pollIntervalMs);
+  }
+
+  function schedule(delayMs) {
+    if (stopped) return;
+    if (timer && delayMs > 0) return;
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(tick, delayMs);
+    timer.unref();
+  }
+
+  function start() {
+    const requeued = storage.requeueRunningJobs();
+    if (requeued) {
+      console.log(`Requeued ${requeued} job(s) interrupted by the last shutdown`);
+    }
+    stopped = false;
+    schedule(0);
+  }
+
+  function stop() {
+    stopped = true;
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  function list(filters) {
+    return storage.listJobs(filters);
+  }
+
+  return { enqueue, retry, list, get: storage.getJob, start, stop };
+}
@@ -0,0 +1,84 @@
+// Per-position caps on interview length. Reaching a soft limit asks the interviewer to wrap up;
+// reaching a hard limit ends the interview. Durations are in minutes, turns count the
+// candidate's transcribed answers.
+export const LIMIT_FIELDS = ['softMinutes', 'hardMinutes', 'softCandidateTurns', 'hardCandidateTurns'];
+const MAX_MINUTES = 180;
+const MAX_TURNS = 500;
+
+// Validates the interviewLimits posted with /api/create-position. Missing fields take the
+// defaults; an explicit null turns that limit off. Returns { limits } or { error }.
+export function validateInterviewLimits(input, defaults = {}) {
+  if (input !== undefined && input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+    return { error: 'interviewLimits must be an object' };
+  }
+  const limits = {};
+  for (const field of LIMIT_FIELDS) {
+    const raw = input?.[field];
+    if (raw === undefined) {
+      limits[field] = defaults[field] ?? null;
+      continue;
+    }
+    if (raw === null || raw === '') {
+      limits[field] = null;
+      continue;
+    }
+    const value = Number(raw);
+    const max = field.endsWith('Minutes') ? MAX_MINUTES : MAX_TURNS;
+    if (!Number.isInteger(value) || value <= 0 || value > max) {
+      return { error: `interviewLimits.${field} must be a whole number between 1 and ${max}` };
+    }
+    limits[field] = value;
+  }
+  if (limits.softMinutes && limits.hardMinutes && limits.softMinutes >= limits.hardMinutes) {
+    return { error: 'The soft duration limit must be shorter than the hard limit' };
+  }
+  if (limits.softCandidateTurns && limits.hardCandidateTurns && limits.softCandidateTurns >= limits.hardCandidateTurns) {
+    return { error: 'The soft turn limit must be lower than the hard limit' };
+  }
+  return { limits };
+}
+
+// Highest limit reached: { level: 'hard' | 'soft', reason: 'duration' | 'turns' } or null
+export function evaluateInterviewLimits(limits, { elapsedSeconds, candidateTurns }) {
+  for (const level of ['hard', 'soft']) {
+    const minutes = limits?.[`${level}Minutes`];
+    if (minutes && elapsedSeconds >= minutes * 60) return { level, reason: 'duration' };
+    const turns = limits?.[`${level}CandidateTurns`];
+    if (turns && candidateTurns >= turns) return { level, reason: 'turns' };
+  }
+  return null;
+}
+
+// Checks a running interview against its limits. The first time each level is reached it is
+// appended to session.limitEvents; later checks keep reporting the highest level reached.
+export function createLimitChecker({ storage, loadTranscript }) {
+  function check(sessionId) {
+    return storage.transaction(() => {
+      const session = storage.getSession(sessionId);
+      if (!session || session.status !== 'in-progress' || !session.startedAt) return null;
+
+      const elapsedSeconds = Math.max(0, Math.round((Date.now() - Date.parse(session.startedAt)) / 1000));
+      const candidateTurns = loadTranscript(sessionId)
+        .filter(item => item.role === 'user' && item.text && item.text.trim()).length;
+      const reached = evaluateInterviewLimits(session.interviewLimits, { elapsedSeconds, candidateTurns });
+      const events = session.limitEvents || [];
+      const recorded = events.find(event => event.level === 'hard') || events.find(event => event.level === 'soft') || null;
+
+      if (reached && !events.some(event => event.level === reached.level)) {
+        // A jump straight to the hard limit still records that the soft one passed
+        const levels = reached.level === 'hard' && !events.length ? ['soft', 'hard'] : [reached.level];
+        const at = new Date().toISOString();
+        session.limitEvents = [
+          ...events,
+          ...levels.map(level => ({ level, reason: reached.reason, at, elapsedSeconds, candidateTurns }))
+        ];
+        storage.saveSession(session);
+        console.log(`Session ${sessionId} reached its ${reached.level} ${reached.reason} limit`);
+        return reached;
+      }
+      return recorded ? { level: recorded.level, reason: recorded.reason } : null;
+    });
+  }
+
+  return { check };
+}
@@ -0,0 +1,266 @@
+import crypto from 'crypto';
+import http from 'http';
+import { WebSocketServer } from 'ws';
+
+// A fake realtime backend for running interviews end to end without spending anything. It
+// answers the same HTTP surface the provider adapters use (client_secrets, calls) and plays a
+// script of server events to every WebSocket on a call: the page's own connection (the SDK's
+// WebSocket transport, since a made-up SDP answer can't carry real WebRTC) and the server's
+// sideband, which joins with ?call_id=. Nothing is spoken; the events carry transcripts only.
+//
+// A script is a list of steps, played once per call, in order, once the first response.create
+// arrives (or as soon as a connection opens, with autoStart). Like the real API, a socket that
+// joins a call later only gets the events from then on; nothing is replayed to it:
+//   { say: 'text', tools: [{ name, arguments }], usage }   an interviewer response
+//   { hear: 'text', seconds }                               a candidate answer
+//   { pause: ms }                                           wait before the next step
+//   { event: { type, ... } }                                any raw server event
+export const DEFAULT_MOCK_SCRIPT = [
+  {
+    say: 'Hello, I am the AI interviewer. Thanks for joining. To start, can you walk me through a recent project you are proud of?',
+    tools: [{ name: 'record_primary_question', arguments: { question: 'Walk me through a recent project you are proud of.', competency: 'General' } }]
+  },
+  { hear: 'Sure. Last year I rebuilt our billing pipeline so invoices went out in minutes instead of hours.', seconds: 6 },
+  {
+    say: 'Thanks. How did you decide what to change first?',
+    tools: [{ name: 'record_primary_question', arguments: { question: 'How did you decide what to change first?', competency: 'General' } }]
+  },
+  { hear: 'I profiled the slowest stage and fixed that before touching anything else.', seconds: 4 },
+  {
+    say: 'That is everything I wanted to ask. Thank you for your time; the team will follow up with you soon. Goodbye!',
+    tools: [{ name: 'end_interview', arguments: { reason: 'Interview completed' } }]
+  }
+];
+
+const DEFAULT_RESPONSE_USAGE = {
+  total_tokens: 420,
+  input_tokens: 300,
+  output_tokens: 120,
+  input_token_details: { text_tokens: 250, audio_tokens: 50, cached_tokens: 0 },
+  output_token_details: { text_tokens: 30, audio_tokens: 90 }
+};
+
+const ANSWER_SDP = 'v=0\r\no=- 0 0 IN IP4 127.0.0.1\r\ns=mock\r\nt=0 0\r\n';
+const id = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Checks a script loaded from a file. Returns { script } or { error }.
+export function validateMockScript(input) {
+  if (!Array.isArray(input) || !input.length) {
+    return { error: 'A mock script must be a non-empty array of steps' };
+  }
+  for (const [index, step] of input.entries()) {
+    const kinds = ['say', 'hear', 'pause', 'event'].filter(kind => step && step[kind] !== undefined);
+    if (kinds.length !== 1) {
+      return { error: `Step ${index + 1} must have exactly one of say, hear, pause or event` };
+    }
+    if (step.tools !== undefined && (!step.say || !Array.isArray(step.tools) || step.tools.some(tool => !tool?.name))) {
+      return { error: `Step ${index + 1}: tools go with a say step and each needs a name` };
+    }
+    if (step.event !== undefined && typeof step.event?.type !== 'string') {
+      return { error: `Step ${index + 1}: event needs a type` };
+    }
+  }
+  return { script: input };
+}
+
+// Options: script (steps above), stepDelayMs between steps, autoStart to play without waiting
+// for response.create, and failStatus to answer every HTTP request with that status (for
+// exercising failover).
+export function createMockRealtimeServer({ script = DEFAULT_MOCK_SCRIPT, stepDelayMs = 300, autoStart = false, failStatus = null } = {}) {
+  const calls = new Map();
+
+  function createCall(session = null) {
+    const call = {
+      callId: id('rtc'),
+      session: { type: 'realtime', model: 'gpt-realtime-mini', ...(session || {}) },
+      sockets: new Set(),
+      received: [],
+      played: false,
+      lastItemId: null
+    };
+    calls.set(call.callId, call);
+    return call;
+  }
+
+  function broadcast(call, event) {
+    const data = JSON.stringify({ event_id: id('event'), ...event });
+    for (const socket of call.sockets) {
+      if (socket.readyState === socket.OPEN) socket.send(data);
+    }
+  }
+
+  // Adds an item to the conversation the way the API does: added, then done
+  function addItem(call, item) {
+    broadcast(call, { type: 'conversation.item.added', previous_item_id: call.lastItemId, item });
+    call.lastItemId = item.id;
+  }
+
+  async function playSay(call, step) {
+    const responseId = id('resp');
+    const itemId = id('item');
+    const text = String(step.say);
+    const message = { id: itemId, type: 'message', role: 'assistant', status: 'in_progress', content: [] };
+    broadcast(call, { type: 'response.created', response: { id: responseId, status: 'in_progress', output: [] } });
+    broadcast(call, { type: 'response.output_item.added', response_id: responseId, output_index: 0, item: message });
+    addItem(call, message);
+    broadcast(call, { type: 'output_audio_buffer.started', response_id: responseId });
+    for (const word of text.match(/\S+\s*/g) || []) {
+      broadcast(call, { type: 'response.output_audio_transcript.delta', response_id: responseId, item_id: itemId, output_index: 0, content_index: 0, delta: word });
+    }
+    broadcast(call, { type: 'response.output_audio_transcript.done', response_id: responseId, item_id: itemId, output_index: 0, content_index: 0, transcript: text });
+    const doneMessage = { ...message, status: 'completed', content: [{ type: 'output_audio', transcript: text }] };
+    broadcast(call, { type: 'response.output_item.done', response_id: responseId, output_index: 0, item: doneMessage });
+    broadcast(call, { type: 'conversation.item.done', item: doneMessage });
+
+    const output = [doneMessage];
+    for (const tool of step.tools || []) {
+      const item = {
+        id: id('item'),
+        type: 'function_call',
+        call_id: id('call'),
+        name: tool.name,
+        arguments: JSON.stringify(tool.arguments || {})
+      };
+      broadcast(call, { type: 'response.output_item.added', response_id: responseId, output_index: output.length, item: { ...item, status: 'in_progress', arguments: '' } });
+      addItem(call, { ...item, status: 'in_progress', arguments: '' });
+      broadcast(call, { type: 'response.function_call_arguments.done', response_id: responseId, item_id: item.id, output_index: output.length, call_id: item.call_id, name: item.name, arguments: item.arguments });
+      broadcast(call, { type: 'response.output_item.done', response_id: responseId, output_index: output.length, item: { ...item, status: 'completed' } });
+      output.push({ ...item, status: 'completed' });
+    }
+    broadcast(call, {
+      type: 'response.done',
+      response: { id: responseId, status: 'completed', output, usage: step.usage || DEFAULT_RESPONSE_USAGE }
+    });
+    await sleep(stepDelayMs);
+    broadcast(call, { type: 'output_audio_buffer.stopped', response_id: responseId });
+  }
+
+  function playHear(call, step) {
+    const itemId = id('item');
+    const seconds = Number.isFinite(step.seconds) ? step.seconds : 3;
+    broadcast(call, { type: 'input_audio_buffer.speech_started', item_id: itemId, audio_start_ms: 0 });
+    broadcast(call, { type: 'input_audio_buffer.speech_stopped', item_id: itemId, audio_end_ms: Math.round(seconds * 1000) });
+    broadcast(call, { type: 'input_audio_buffer.committed', item_id: itemId, previous_item_id: call.lastItemId });
+    addItem(call, { id: itemId, type: 'message', role: 'user', status: 'completed', content: [{ type: 'input_audio', transcript: null }] });
+    broadcast(call, {
+      type: 'conversation.item.input_audio_transcription.completed',
+      item_id: itemId,
+      content_index: 0,
+      transcript: String(step.hear),
+      usage: { type: 'duration', seconds }
+    });
+  }
+
+  async function play(call) {
+    if (call.played) return;
+    call.played = true;
+    console.log(`Mock realtime: playing ${script.length} steps on call ${call.callId}`);
+    for (const step of script) {
+      if (!call.sockets.size) break;
+      if (step.pause !== undefined) {
+        await sleep(Number(step.pause) || 0);
+        continue;
+      }
+      if (step.say !== undefined) await playSay(call, step);
+      else if (step.hear !== undefined) playHear(call, step);
+      else broadcast(call, step.event);
+      await sleep(stepDelayMs);
+    }
+    console.log(`Mock realtime: script finished on call ${call.callId}`);
+  }
+
+  function handleClientEvent(call, event) {
+    call.received.push({ at: new Date().toISOString(), event });
+    if (event.type === 'session.update') {
+      call.session = { ...call.session, ...(event.session || {}) };
+      broadcast(call, { type: 'session.updated', session: call.session });
+    } else if (event.type === 'response.create') {
+      play(call).catch(err => console.error(`Mock realtime playback failed on ${call.callId}:`, err));
+    }
+  }
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (failStatus && url.pathname.startsWith('/v1/realtime')) {
+        return sendJson(res, failStatus, { error: { message: `Mock realtime failing with ${failStatus}` } });
+      }
+      if (req.method === 'POST' && url.pathname === '/v1/realtime/client_secrets') {
+        const body = JSON.parse((await readBody(req)) || '{}');
+        const expiresAt = Math.floor(Date.now() / 1000) + 60;
+        return sendJson(res, 200, { value: id('ek_mock'), expires_at: expiresAt, session: body.session || null });
+      }
+      if (req.method === 'POST' && url.pathname === '/v1/realtime/calls') {
+        // Multipart (sdp + session) from the server, or a bare SDP offer
+        const body = await readBody(req);
+        const sessionPart = body.match(/name="session"\r?\n\r?\n([\s\S]*?)\r?\n--/);
+        const call = createCall(sessionPart ? JSON.parse(sessionPart[1]) : null);
+        res.writeHead(201, { 'Content-Type': 'application/sdp', Location: `/v1/realtime/calls/${call.callId}` });
+        return res.end(ANSWER_SDP);
+      }
+      // What each call received from its clients, for tests to check
+      const match = url.pathname.match(/^\/mock\/calls\/([\w-]+)$/);
+      if (req.method === 'GET' && match) {
+        const call = calls.get(match[1]);
+        if (!call) return sendJson(res, 404, { error: 'Call not found' });
+        return sendJson(res, 200, { callId: call.callId, session: call.session, played: call.played, received: call.received });
+      }
+      if (req.method === 'GET' && url.pathname === '/mock/calls') {
+        return sendJson(res, 200, { calls: [...calls.values()].map(call => ({ callId: call.callId, played: call.played, connections: call.sockets.size })) });
+      }
+      sendJson(res, 404, { error: 'Not found' });
+    } catch (err) {
+      console.error('Mock realtime request failed:', err);
+      sendJson(res, 400, { error: { message: err.message } });
+    }
+  });
+
+  // ?call_id= joins a call negotiated through /calls; ?model= opens a new one
+  const wss = new WebSocketServer({ noServer: true, handleProtocols: (protocols) => (protocols.has('realtime') ? 'realtime' : false) });
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/v1/realtime') {
+      socket.destroy();
+      return;
+    }
+    const callId = url.searchParams.get('call_id');
+    const call = callId ? calls.get(callId) : createCall({ model: url.searchParams.get('model') || undefined });
+    if (!call) {
+      socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      call.sockets.add(ws);
+      ws.send(JSON.stringify({ type: 'session.created', event_id: id('event'), session: { id: call.callId, ...call.session } }));
+      ws.on('message', (data) => {
+        try {
+          handleClientEvent(call, JSON.parse(data.toString()));
+        } catch {
+          // ignore unreadable client events
+        }
+      });
+      ws.on('close', () => call.sockets.delete(ws));
+      if (autoStart) {
+        play(call).catch(err => console.error(`Mock realtime playback failed on ${call.callId}:`, err));
+      }
+    });
+  });
+
+  return { server, calls };
+}
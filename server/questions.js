@@ -0,0 +1,143 @@
+// Ordered question bank per position. Required questions (e.g. compliance-mandated ones) must
+// be asked in every interview; the interviewer calls mark_question_asked as it covers each
+// question and the session keeps where in the transcript that happened. Every primary question
+// is also reported through record_primary_question, and that count decides when to wrap up.
+const MAX_QUESTIONS = 30;
+const MAX_QUESTION_LENGTH = 300;
+
+const elapsedSeconds = (session) => (session.startedAt
+  ? Math.max(0, Math.round((Date.now() - Date.parse(session.startedAt)) / 1000))
+  : null);
+
+// Validates the question bank posted with /api/create-position. Returns { questionBank } (null
+// when none was given) or { error }. Questions get stable ids q1, q2, ... in the given order.
+export function validateQuestionBank(input, { maxQuestions } = {}) {
+  const rawQuestions = Array.isArray(input) ? input : input?.questions;
+  if (input === undefined || input === null || (Array.isArray(rawQuestions) && !rawQuestions.length)) {
+    return { questionBank: null };
+  }
+  if (!Array.isArray(rawQuestions)) {
+    return { error: 'questionBank.questions must be an array' };
+  }
+  if (rawQuestions.length > MAX_QUESTIONS) {
+    return { error: `A question bank can have at most ${MAX_QUESTIONS} questions` };
+  }
+
+  const questions = [];
+  for (const [idx, raw] of rawQuestions.entries()) {
+    const text = typeof raw?.text === 'string' ? raw.text.trim() : '';
+    if (!text) {
+      return { error: `Question ${idx + 1} needs text` };
+    }
+    if (text.length > MAX_QUESTION_LENGTH) {
+      return { error: `Question ${idx + 1} must be at most ${MAX_QUESTION_LENGTH} characters` };
+    }
+    questions.push({ id: `q${idx + 1}`, text, required: raw.required === true });
+  }
+
+  const requiredCount = questions.filter(q => q.required).length;
+  if (maxQuestions && requiredCount > maxQuestions) {
+    return { error: `The question bank has ${requiredCount} required questions but only ${maxQuestions} primary questions are allowed` };
+  }
+  return { questionBank: { questions } };
+}
+
+// Prompt section listing the bank; empty when the position has none
+export function questionBankPrompt(questionBank) {
+  if (!questionBank?.questions?.length) return '';
+  return `
+Question Bank:
+Work these questions into the interview in this order, in your own words. Each one counts as a primary question. Required questions MUST be asked before you wrap up; ask optional ones when the conversation allows. Whenever you ask one of them, call mark_question_asked with its id in the same response.
+${questionBank.questions.map(q => `- [${q.id}] (${q.required ? 'required' : 'optional'}) ${q.text}`).join('\n')}
+`;
+}
+
+// Records that a bank question was asked. Returns { coverage } or { error }; asking the same
+// question again keeps the first record.
+export function recordQuestionAsked(session, { questionId, itemId, callItemId }) {
+  const question = session.questionBank?.questions?.find(q => q.id === questionId);
+  if (!question) {
+    return { error: `Unknown question ${questionId}` };
+  }
+  const coverage = session.questionCoverage || [];
+  const existing = coverage.find(entry => entry.questionId === questionId);
+  if (existing) {
+    return { coverage: existing, repeated: true };
+  }
+  const entry = {
+    questionId,
+    askedAt: new Date().toISOString(),
+    elapsedSeconds: elapsedSeconds(session),
+    // The spoken question and the tool call that marked it, as transcript item ids
+    itemId: typeof itemId === 'string' ? itemId.slice(0, 128) : null,
+    callItemId: typeof callItemId === 'string' ? callItemId.slice(0, 128) : null
+  };
+  session.questionCoverage = [...coverage, entry];
+  return { coverage: entry };
+}
+
+// Per-question coverage with transcript positions, plus the required questions that were
+// skipped. transcriptItems is optional; without it positions are left null.
+export function summarizeQuestionCoverage(session, transcriptItems = []) {
+  const questions = session.questionBank?.questions;
+  if (!questions?.length) return null;
+  // transcriptItems are in conversation order, so the index is the item's position in it
+  const indexByItem = new Map(transcriptItems.map((item, idx) => [item.item_id, idx]));
+  const coverage = session.questionCoverage || [];
+  const summary = questions.map(question => {
+    const entry = coverage.find(c => c.questionId === question.id);
+    const itemId = entry?.itemId || entry?.callItemId || null;
+    return {
+      ...question,
+      asked: !!entry,
+      askedAt: entry?.askedAt || null,
+      elapsedSeconds: entry?.elapsedSeconds ?? null,
+      itemId,
+      transcriptIndex: itemId && indexByItem.has(itemId) ? indexByItem.get(itemId) : null
+    };
+  });
+  return {
+    questions: summary,
+    missingRequired: summary.filter(q => q.required && !q.asked).map(q => q.id)
+  };
+}
+
+// Records a primary question reported by the interviewer. The server's count is the one that
+// decides when the question budget is used up; follow-ups are never reported. Returns
+// { entry, count, budgetReached } or { error }.
+export function recordPrimaryQuestion(session, { question, competency, itemId, callItemId }) {
+  const text = typeof question === 'string' ? question.trim().slice(0, MAX_QUESTION_LENGTH * 2) : '';
+  if (!text) {
+    return { error: 'question is required' };
+  }
+  const questions = session.primaryQuestions || [];
+  const callId = typeof callItemId === 'string' ? callItemId.slice(0, 128) : null;
+  // Each tool call is counted once, even if it is reported again
+  const existing = callId && questions.find(entry => entry.callItemId === callId);
+  if (existing) {
+    return { entry: existing, count: questions.length, budgetReached: questionBudgetReached(session) };
+  }
+  const entry = {
+    number: questions.length + 1,
+    question: text,
+    competency: typeof competency === 'string' && competency.trim() ? competency.trim().slice(0, 80) : null,
+    askedAt: new Date().toISOString(),
+    elapsedSeconds: elapsedSeconds(session),
+    itemId: typeof itemId === 'string' ? itemId.slice(0, 128) : null,
+    callItemId: callId
+  };
+  session.primaryQuestions = [...questions, entry];
+  return { entry, count: entry.number, budgetReached: questionBudgetReached(session) };
+}
+
+// What the interviewer is told after record_primary_question
+export function primaryQuestionNote({ count, budgetReached }, maxQuestions) {
+  if (budgetReached) {
+    return 'That was the last primary question. Once the candidate has answered, close the interview.';
+  }
+  return maxQuestions ? `Recorded primary question ${count} of ${maxQuestions}.` : `Recorded primary question ${count}.`;
+}
+
+export function questionBudgetReached(session) {
+  return !!session.maxQuestions && (session.primaryQuestions || []).length >= session.maxQuestions;
+}
@@ -0,0 +1,136 @@
+import { REALTIME_PROVIDERS } from './realtimeProviders.js';
+
+// Realtime voice settings chosen per position: which provider, model and voice the interviewer
+// uses, how turns are detected, and how candidate speech is transcribed.
+export const REALTIME_VOICES = ['alloy', 'ash', 'ballad', 'cedar', 'coral', 'echo', 'marin', 'sage', 'shimmer', 'verse'];
+export const TURN_DETECTION_TYPES = ['semantic_vad', 'server_vad'];
+export const VAD_EAGERNESS = ['low', 'medium', 'high', 'auto'];
+export const TRANSCRIPTION_MODELS = ['whisper-1', 'gpt-4o-transcribe', 'gpt-4o-mini-transcribe'];
+export const NOISE_REDUCTION_TYPES = ['near_field', 'far_field'];
+
+const MODEL_PATTERN = /^gpt-[a-z0-9.-]*realtime[a-z0-9.-]*$/;
+const LANGUAGE_PATTERN = /^[a-z]{2}$/;
+const SILENCE_MS_RANGE = [200, 5000];
+
+// Matches what the interview used before profiles were configurable
+export const DEFAULT_REALTIME_PROFILE = Object.freeze({
+  model: 'gpt-realtime-mini',
+  voice: 'sage',
+  turnDetection: Object.freeze({ type: 'semantic_vad', eagerness: 'medium', silenceDurationMs: null }),
+  transcription: Object.freeze({ model: 'whisper-1', language: 'en' }),
+  noiseReduction: null,
+  // null uses the server's configured provider (and fallback)
+  provider: null,
+  fallbackProvider: null
+});
+
+const blank = (value) => value === undefined || value === null || value === '';
+
+// Validates the realtimeProfile posted with /api/create-position. Missing fields take the
+// defaults above. Returns { profile } or { error }.
+export function validateRealtimeProfile(input) {
+  if (blank(input)) return { profile: structuredClone(DEFAULT_REALTIME_PROFILE) };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'realtimeProfile must be an object' };
+  }
+  const defaults = DEFAULT_REALTIME_PROFILE;
+
+  const model = blank(input.model) ? defaults.model : String(input.model).trim().toLowerCase();
+  if (model.length > 64 || !MODEL_PATTERN.test(model)) {
+    return { error: `"${model}" is not a realtime model name` };
+  }
+
+  const voice = blank(input.voice) ? defaults.voice : String(input.voice).toLowerCase();
+  if (!REALTIME_VOICES.includes(voice)) {
+    return { error: `voice must be one of: ${REALTIME_VOICES.join(', ')}` };
+  }
+
+  const turnInput = input.turnDetection || {};
+  const turnType = blank(turnInput.type) ? defaults.turnDetection.type : turnInput.type;
+  if (!TURN_DETECTION_TYPES.includes(turnType)) {
+    return { error: `turnDetection.type must be one of: ${TURN_DETECTION_TYPES.join(', ')}` };
+  }
+  const turnDetection = { type: turnType, eagerness: null, silenceDurationMs: null };
+  // Eagerness only applies to semantic VAD, silence duration only to server VAD
+  if (turnType === 'semantic_vad') {
+    turnDetection.eagerness = blank(turnInput.eagerness) ? defaults.turnDetection.eagerness : turnInput.eagerness;
+    if (!VAD_EAGERNESS.includes(turnDetection.eagerness)) {
+      return { error: `turnDetection.eagerness must be one of: ${VAD_EAGERNESS.join(', ')}` };
+    }
+  } else if (!blank(turnInput.silenceDurationMs)) {
+    const silence = Number(turnInput.silenceDurationMs);
+    if (!Number.isInteger(silence) || silence < SILENCE_MS_RANGE[0] || silence > SILENCE_MS_RANGE[1]) {
+      return { error: `turnDetection.silenceDurationMs must be between ${SILENCE_MS_RANGE[0]} and ${SILENCE_MS_RANGE[1]}` };
+    }
+    turnDetection.silenceDurationMs = silence;
+  }
+
+  const transcriptionInput = input.transcription || {};
+  const transcriptionModel = blank(transcriptionInput.model) ? defaults.transcription.model : transcriptionInput.model;
+  if (!TRANSCRIPTION_MODELS.includes(transcriptionModel)) {
+    return { error: `transcription.model must be one of: ${TRANSCRIPTION_MODELS.join(', ')}` };
+  }
+  // An explicit empty language lets the transcriber detect it
+  const language = transcriptionInput.language === undefined
+    ? defaults.transcription.language
+    : (blank(transcriptionInput.language) ? null : String(transcriptionInput.language).trim().toLowerCase());
+  if (language !== null && !LANGUAGE_PATTERN.test(language)) {
+    return { error: 'transcription.language must be a two-letter ISO 639-1 code' };
+  }
+
+  const noiseReduction = blank(input.noiseReduction) ? null : input.noiseReduction;
+  if (noiseReduction !== null && !NOISE_REDUCTION_TYPES.includes(noiseReduction)) {
+    return { error: `noiseReduction must be one of: ${NOISE_REDUCTION_TYPES.join(', ')}` };
+  }
+
+  const provider = blank(input.provider) ? null : input.provider;
+  const fallbackProvider = blank(input.fallbackProvider) ? null : input.fallbackProvider;
+  if ([provider, fallbackProvider].some(name => name !== null && !REALTIME_PROVIDERS.includes(name))) {
+    return { error: `provider and fallbackProvider must be one of: ${REALTIME_PROVIDERS.join(', ')}` };
+  }
+
+  return {
+    profile: {
+      model,
+      voice,
+      turnDetection,
+      transcription: { model: transcriptionModel, language },
+      noiseReduction,
+      provider,
+      fallbackProvider: fallbackProvider === provider ? null : fallbackProvider
+    }
+  };
+}
+
+// Realtime API turn_detection block for a profile
+export function turnDetectionConfig(profile) {
+  const { type, eagerness, silenceDurationMs } = profile.turnDetection;
+  if (type === 'semantic_vad') return { type, eagerness };
+  return silenceDurationMs ? { type, silence_duration_ms: silenceDurationMs } : { type };
+}
+
+export function transcriptionConfig(profile) {
+  const { model, language } = profile.transcription;
+  return language ? { model, language } : { model };
+}
+
+// Session block for minting a client secret or negotiating SDP server-side. model is overridden
+// for Azure, where the deployment name stands in for the model. instructions and tools come from
+// the interview session, so the browser never has to send them.
+export function clientSecretSessionConfig(profile, { model = profile.model, instructions, tools } = {}) {
+  return {
+    type: 'realtime',
+    model,
+    ...(instructions ? { instructions } : {}),
+    ...(tools?.length ? { tools } : {}),
+    audio: {
+      input: {
+        transcription: transcriptionConfig(profile),
+        // The candidate can talk over the interviewer, as on the interview page
+        turn_detection: { ...turnDetectionConfig(profile), create_response: true, interrupt_response: true },
+        noise_reduction: profile.noiseReduction ? { type: profile.noiseReduction } : null
+      },
+      output: { voice: profile.voice }
+    }
+  };
+}
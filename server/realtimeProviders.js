@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+
+// Realtime providers behind one interface. Each adapter knows its own URLs, headers and model
+// naming; the endpoints only pick a chain (the position's provider, then its fallback) and take
+// the first provider that negotiates. Every adapter exposes:
+//   sessionModel(profile)                  model name for the session config
+//   createClientSecret(sessionConfig)      -> { value, expiresAt }
+//   browserConnection(profile)             -> { model, url, insecureKey, transport } for the
+//                                             page's SDK; transport defaults to WebRTC
+//   negotiate(offerSdp, sessionConfig)     -> { answerSdp, callId, location }
+//   sidebandTarget(callId)                 -> { url, headers } or null when unsupported
+export const REALTIME_PROVIDERS = ['openai', 'azure', 'mock'];
+
+export class RealtimeProviderError extends Error {
+  constructor(provider, message, { status = null, detail = null } = {}) {
+    super(message);
+    this.name = 'RealtimeProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// Upstream failures map to the same errors whichever provider raised them
+function upstreamError(provider, status, body) {
+  let detail = body;
+  try {
+    detail = JSON.parse(body)?.error?.message || body;
+  } catch {
+    // not JSON; keep the text
+  }
+  detail = typeof detail === 'string' ? detail.slice(0, 500) : null;
+  if (status === 401 || status === 403) {
+    return new RealtimeProviderError(provider, 'The realtime provider rejected the server credentials', { status, detail });
+  }
+  if (status === 429) {
+    return new RealtimeProviderError(provider, 'The realtime provider is over capacity', { status, detail });
+  }
+  if (status >= 500) {
+    return new RealtimeProviderError(provider, 'The realtime provider is unavailable', { status, detail });
+  }
+  return new RealtimeProviderError(provider, 'The realtime provider refused the session', { status, detail });
+}
+
+async function request(provider, url, options) {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (err) {
+    throw new RealtimeProviderError(provider, 'The realtime provider could not be reached', { detail: err.cause?.code || err.message });
+  }
+  if (!response.ok) {
+    throw upstreamError(provider, response.status, await response.text().catch(() => ''));
+  }
+  return response;
+}
+
+// The calls endpoint returns the new call's URL (.../realtime/calls/{call_id}) in Location
+export function callIdFromLocation(location) {
+  const callId = (location || '').split('?')[0].split('/').filter(Boolean).pop() || '';
+  return /^[A-Za-z0-9_-]{1,128}$/.test(callId) ? callId : null;
+}
+
+async function readAnswer(response) {
+  const location = response.headers.get('Location');
+  return { answerSdp: await response.text(), callId: callIdFromLocation(location), location };
+}
+
+function createOpenAIProvider({ name = 'openai', apiKey, baseUrl = 'https://api.openai.com/v1/realtime', sidebandUrl = null }) {
+  const authHeaders = { Authorization: `Bearer ${apiKey}` };
+  return {
+    name,
+    configured: !!apiKey,
+    sessionModel: (profile) => profile.model,
+    async createClientSecret(sessionConfig) {
+      const response = await request(name, `${baseUrl}/client_secrets`, {
+        method: 'POST',
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ session: sessionConfig })
+      });
+      const data = await response.json();
+      if (!data.value) throw new RealtimeProviderError(name, 'The realtime provider returned no client secret');
+      return { value: data.value, expiresAt: data.expires_at ?? null };
+    },
+    // The SDK's default calls URL is OpenAI's
+    browserConnection: (profile) => ({ model: profile.model, url: null, insecureKey: false }),
+    // The offer goes up with the session config so the call starts fully configured
+    async negotiate(offerSdp, sessionConfig) {
+      const form = new FormData();
+      form.set('sdp', offerSdp);
+      form.set('session', JSON.stringify(sessionConfig));
+      return readAnswer(await request(name, `${baseUrl}/calls`, { method: 'POST', headers: authHeaders, body: form }));
+    },
+    sidebandTarget(callId) {
+      const url = new URL(sidebandUrl || baseUrl.replace(/^http/, 'ws'));
+      url.searchParams.set('call_id', callId);
+      return { url: url.toString(), headers: authHeaders };
+    }
+  };
+}
+
+// Azure's GA realtime API; the deployment name stands in for the model
+function createAzureProvider({ endpoint, deployment, apiKey }) {
+  const name = 'azure';
+  const baseUrl = `${endpoint}/openai/v1/realtime`;
+  const provider = {
+    name,
+    configured: !!(endpoint && deployment && apiKey),
+    sessionModel: () => deployment,
+    async createClientSecret(sessionConfig) {
+      const response = await request(name, `${baseUrl}/client_secrets`, {
+        method: 'POST',
+        headers: { 'api-key': apiKey, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ session: sessionConfig })
+      });
+      const data = await response.json();
+      const value = data.value || data.client_secret?.value || data.client_secret;
+      if (!value) throw new RealtimeProviderError(name, 'The realtime provider returned no client secret');
+      return { value, expiresAt: data.expires_at ?? null };
+    },
+    // Azure client secrets don't always carry the ek_ prefix the SDK checks for
+    browserConnection: () => ({ model: deployment, url: `${baseUrl}/calls`, insecureKey: true }),
+    // Mints a client secret for the call, then posts the offer with it
+    async negotiate(offerSdp, sessionConfig) {
+      const { value } = await provider.createClientSecret(sessionConfig);
+      return readAnswer(await request(name, `${baseUrl}/calls`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${value}`, 'Content-Type': 'application/sdp' },
+        body: offerSdp
+      }));
+    },
+    sidebandTarget: () => null
+  };
+  return provider;
+}
+
+// With baseUrl, talks to the fake backend in mockRealtime.js, which speaks the OpenAI API and
+// plays a scripted interview. The page connects to it over WebSocket, since its SDP answer
+// can't set up real WebRTC.
+// Otherwise answers locally without any backend: secrets and calls are made up, and nothing is
+// spoken. Lets the server-side flow (and failover to it) run with no credentials or network.
+function createMockProvider({ enabled, baseUrl = null }) {
+  const name = 'mock';
+  if (baseUrl) {
+    return {
+      ...createOpenAIProvider({ name, apiKey: 'mock', baseUrl }),
+      browserConnection(profile) {
+        const url = new URL(baseUrl.replace(/^http/, 'ws'));
+        url.searchParams.set('model', profile.model);
+        return { model: profile.model, url: url.toString(), insecureKey: true, transport: 'websocket' };
+      }
+    };
+  }
+  const id = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+  return {
+    name,
+    configured: !!enabled,
+    sessionModel: (profile) => profile.model,
+    async createClientSecret() {
+      return { value: id('mock_ek'), expiresAt: Math.floor(Date.now() / 1000) + 60 };
+    },
+    browserConnection: (profile) => ({ model: profile.model, url: null, insecureKey: true }),
+    async negotiate() {
+      const callId = id('mock_call');
+      return {
+        answerSdp: 'v=0\r\no=- 0 0 IN IP4 127.0.0.1\r\ns=mock\r\nt=0 0\r\n',
+        callId,
+        location: `/v1/realtime/calls/${callId}`
+      };
+    },
+    sidebandTarget: () => null
+  };
+}
+
+export function createRealtimeProviders({ openai = {}, azure = {}, mock = {}, defaultProvider = null, fallbackProvider = null }) {
+  const providers = {
+    openai: createOpenAIProvider(openai),
+    azure: createAzureProvider(azure),
+    mock: createMockProvider(mock)
+  };
+  // Without a configured default, the first provider that has credentials
+  const primaryDefault = REALTIME_PROVIDERS.includes(defaultProvider)
+    ? defaultProvider
+    : ['openai', 'azure'].find(provider => providers[provider].configured) || null;
+
+  // Providers to try for a realtime profile, in order. legacyAzure covers positions created
+  // before providers were selectable, which always ran on Azure.
+  function chainFor(profile, { legacyAzure = false } = {}) {
+    const primary = profile?.provider || (legacyAzure ? 'azure' : primaryDefault);
+    const fallback = profile?.fallbackProvider || fallbackProvider;
+    return [...new Set([primary, fallback].filter(Boolean))]
+      .map(provider => providers[provider])
+      .filter(provider => provider?.configured);
+  }
+
+  // Runs attempt(provider) down the chain until one succeeds. Resolves to { provider, result,
+  // failures }; rejects with the last provider's error when none does.
+  async function withFailover(chain, attempt) {
+    if (!chain.length) {
+      throw new RealtimeProviderError(null, 'No realtime provider is configured', { status: 500 });
+    }
+    const failures = [];
+    for (const provider of chain) {
+      try {
+        return { provider, result: await attempt(provider), failures };
+      } catch (err) {
+        const error = err instanceof RealtimeProviderError ? err : new RealtimeProviderError(provider.name, err.message);
+        failures.push({ provider: provider.name, error: error.message, status: error.status, detail: error.detail });
+        console.warn(`Realtime provider ${provider.name} failed: ${error.message}${error.detail ? ` (${error.detail})` : ''}`);
+      }
+    }
+    const last = failures[failures.length - 1];
+    throw new RealtimeProviderError(last.provider, last.error, { status: last.status, detail: last.detail });
+  }
+
+  return { get: (name) => providers[name], chainFor, withFailover };
+}
+
+// HTTP status and message for an error that reached an endpoint
+export function providerErrorResponse(err) {
+  if (!(err instanceof RealtimeProviderError)) {
+    return { code: 500, error: 'Failed to set up the realtime session' };
+  }
+  if (!err.provider) return { code: err.status || 500, error: err.message };
+  return { code: err.status === 429 ? 503 : 502, error: err.message };
+}
@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+const KIND_PATTERN = /^[a-zA-Z0-9_-]{1,50}$/;
+const MAX_SEQ = 1000000;
+
+export function isValidRecordingKind(kind) {
+  return KIND_PATTERN.test(kind || '');
+}
+
+// The interview page records into 'combined'. A page reloaded after that recording was closed
+// starts a new segment, 'combined-2', 'combined-3' and so on, each a playable file of its own.
+export function isCombinedSegmentKind(kind) {
+  return /^combined-\d+$/.test(kind || '');
+}
+
+export function isValidChunkSeq(seq) {
+  return Number.isInteger(seq) && seq >= 0 && seq < MAX_SEQ;
+}
+
+// Chunk sequence numbers that should exist but were never received.
+// Without a declared total, only gaps below the highest received seq are reported.
+export function findMissingChunks(receivedSeqs, totalChunks) {
+  const received = new Set(receivedSeqs);
+  const highest = receivedSeqs.length ? Math.max(...receivedSeqs) : -1;
+  const expected = Number.isInteger(totalChunks) && totalChunks > 0 ? totalChunks : highest + 1;
+  const missing = [];
+  for (let seq = 0; seq < expected; seq++) {
+    if (!received.has(seq)) missing.push(seq);
+  }
+  return missing;
+}
+
+// Resumable recording upload. The client PUTs numbered chunks as MediaRecorder produces them
+// (re-sending a chunk is harmless) and asks for status to learn what still needs sending.
+// Chunks are assembled in sequence order on finalize, or by the sweeper once a recording
+// has been idle for inactivityMs, so a closed tab still leaves a playable partial file.
+export function createRecordingUploads({ storage, chunksDir, outputDir, inactivityMs = 10 * 60 * 1000, onFinalized }) {
+  fs.mkdirSync(chunksDir, { recursive: true });
+
+  const chunkDirFor = (sessionId, kind) => path.join(chunksDir, `${sessionId}-${kind}`);
+  const chunkPathFor = (sessionId, kind, seq) => path.join(chunkDirFor(sessionId, kind), `${seq}.part`);
+  // Chunks are written here first, outside the directory finalize assembles and removes
+  const incomingDir = path.join(chunksDir, '.incoming');
+  fs.mkdirSync(incomingDir, { recursive: true });
+
+  function status(sessionId, kind) {
+    const recording = storage.getRecording(sessionId, kind);
+    if (!recording) return null;
+    if (recording.status === 'finalized') {
+      return {
+        sessionId,
+        kind,
+        status: recording.status,
+        receivedChunks: recording.chunkCount,
+        bytes: recording.bytes,
+        missing: recording.missing,
+        filename: recording.filename,
+        updatedAt: recording.updatedAt
+      };
+    }
+    // Chunk rows are dropped once assembled, so only an open recording lists them
+    const chunks = storage.listRecordingChunks(sessionId, kind);
+    const seqs = chunks.map(chunk => chunk.seq);
+    return {
+      sessionId,
+      kind,
+      status: recording.status,
+      receivedChunks: seqs.length,
+      bytes: chunks.reduce((sum, chunk) => sum + chunk.size, 0),
+      highestSeq: seqs.length ? seqs[seqs.length - 1] : null,
+      missing: findMissingChunks(seqs),
+      filename: recording.filename,
+      updatedAt: recording.updatedAt
+    };
+  }
+
+  // Returns { status } or { error, code } when the recording no longer accepts chunks.
+  // The chunk is moved into place and recorded in one transaction, the same lock finalize
+  // claims the recording under, so a chunk either makes it into the file or is rejected.
+  async function saveChunk(sessionId, kind, seq, data) {
+    const existing = storage.getRecording(sessionId, kind);
+    if (existing && existing.status !== 'receiving') {
+      return { code: 409, error: `Recording is already ${existing.status}` };
+    }
+    const incomingPath = path.join(incomingDir, `${sessionId}-${kind}-${seq}-${crypto.randomUUID()}`);
+    await fs.promises.writeFile(incomingPath, data);
+    const saved = storage.transaction(() => {
+      if (!storage.saveRecordingChunk(sessionId, kind, seq, data.length)) return false;
+      fs.mkdirSync(chunkDirFor(sessionId, kind), { recursive: true });
+      fs.renameSync(incomingPath, chunkPathFor(sessionId, kind, seq));
+      return true;
+    });
+    if (!saved) {
+      await fs.promises.rm(incomingPath, { force: true });
+      return { code: 409, error: `Recording is already ${storage.getRecording(sessionId, kind).status}` };
+    }
+    return { status: status(sessionId, kind) };
+  }
+
+  // Concatenates the received chunks into <sessionId>-<kind>.webm. reason is 'client', 'inactivity'
+  // or 'abandoned' (the interview was closed without the client finishing the upload).
+  // Returns null when there is nothing to finalize or another caller is already doing it.
+  async function finalize(sessionId, kind, { totalChunks, reason = 'client' } = {}) {
+    if (!storage.claimRecording(sessionId, kind, new Date(Date.now() - inactivityMs).toISOString())) {
+      return null;
+    }
+    const seqs = storage.listRecordingChunks(sessionId, kind).map(chunk => chunk.seq);
+    const filename = `${sessionId}-${kind}.webm`;
+    const outPath = path.join(outputDir, filename);
+
+    // A chunk file can be gone if the disk was cleaned up under us; treat it as missing
+    const unreadable = [];
+    await pipeline(async function* () {
+      for (const seq of seqs) {
+        try {
+          yield await fs.promises.readFile(chunkPathFor(sessionId, kind, seq));
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+          unreadable.push(seq);
+        }
+      }
+    }, fs.createWriteStream(outPath));
+    const missing = [...findMissingChunks(seqs, totalChunks), ...unreadable].sort((a, b) => a - b);
+
+    const recording = storage.completeRecording(sessionId, kind, { filename, missing, reason });
+    await fs.promises.rm(chunkDirFor(sessionId, kind), { recursive: true, force: true });
+    if (missing.length) {
+      console.warn(`Recording ${sessionId}/${kind} finalized without chunks: ${missing.join(', ')}`);
+    }
+    console.log(`Recording ${sessionId}/${kind} finalized (${reason}, ${seqs.length} chunks)`);
+
+    await onFinalized({ sessionId, kind, filename, missing, reason, chunkCount: seqs.length });
+    return recording;
+  }
+
+  async function sweep() {
+    const staleBefore = new Date(Date.now() - inactivityMs).toISOString();
+    for (const recording of storage.listStaleRecordings(staleBefore)) {
+      try {
+        await finalize(recording.sessionId, recording.kind, { reason: 'inactivity' });
+      } catch (err) {
+        console.error(`Failed to finalize idle recording ${recording.sessionId}/${recording.kind}:`, err);
+      }
+    }
+  }
+
+  // Every recording of a session still receiving chunks, e.g. when the interview is closed early
+  async function finalizeSession(sessionId, { reason = 'abandoned' } = {}) {
+    for (const recording of storage.listSessionRecordings(sessionId)) {
+      if (recording.status === 'receiving') {
+        await finalize(sessionId, recording.kind, { reason });
+      }
+    }
+  }
+
+  function start() {
+    sweep();
+    setInterval(sweep, Math.min(inactivityMs, 60 * 1000)).unref();
+  }
+
+  return { status, saveChunk, finalize, finalizeSession, sweep, start };
+}
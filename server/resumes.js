@@ -0,0 +1,58 @@
+import { PDFParse } from 'pdf-parse';
+import mammoth from 'mammoth';
+
+export const RESUME_MAX_BYTES = 5 * 1024 * 1024;
+const MAX_TEXT_LENGTH = 30000;
+const CONDENSED_LENGTH = 4000;
+
+// Decides the format from the file's magic bytes first, then its name. Returns null if unsupported.
+export function detectResumeFormat(buffer, filename = '') {
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  const name = filename.toLowerCase();
+  // DOCX is a zip archive
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b && name.endsWith('.docx')) return 'docx';
+  if ((name.endsWith('.txt') || name.endsWith('.md')) && !buffer.includes(0)) return 'text';
+  return null;
+}
+
+function normalizeText(text) {
+  return text
+    .replace(/^-- \d+ of \d+ --$/gm, '')
+    .replace(/[ \t\f\v]+/g, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .slice(0, MAX_TEXT_LENGTH);
+}
+
+export async function extractResumeText(buffer, format) {
+  if (format === 'pdf') {
+    const parser = new PDFParse({ data: buffer });
+    try {
+      return normalizeText((await parser.getText()).text);
+    } finally {
+      await parser.destroy();
+    }
+  }
+  if (format === 'docx') {
+    const { value } = await mammoth.extractRawText({ buffer });
+    return normalizeText(value);
+  }
+  return normalizeText(buffer.toString('utf8'));
+}
+
+// Short version for the interviewer prompt: blank lines dropped and cut at a line boundary
+export function condenseResume(text, maxLength = CONDENSED_LENGTH) {
+  const lines = text.split('\n').filter(Boolean);
+  const kept = [];
+  let length = 0;
+  for (const line of lines) {
+    if (length + line.length + 1 > maxLength) break;
+    kept.push(line);
+    length += line.length + 1;
+  }
+  if (kept.length === lines.length) return kept.join('\n');
+  return `${kept.length ? kept.join('\n') : lines[0].slice(0, maxLength)}\n[...]`;
+}
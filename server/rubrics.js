@@ -0,0 +1,85 @@
+const MAX_COMPETENCIES = 10;
+const MAX_LEVELS = 6;
+
+function cleanText(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+// Validates a rubric posted with /api/create-position. Returns { rubric } (null when none was
+// given) or { error }. Levels are anchors on the 0-100 scale, sorted low to high.
+export function validateRubric(input) {
+  if (input === undefined || input === null || (Array.isArray(input?.competencies) && !input.competencies.length)) {
+    return { rubric: null };
+  }
+  if (!Array.isArray(input.competencies)) {
+    return { error: 'rubric.competencies must be an array' };
+  }
+  if (input.competencies.length > MAX_COMPETENCIES) {
+    return { error: `A rubric can have at most ${MAX_COMPETENCIES} competencies` };
+  }
+
+  const names = new Set();
+  const competencies = [];
+  for (const [idx, raw] of input.competencies.entries()) {
+    const name = cleanText(raw?.name, 80);
+    if (!name) {
+      return { error: `Competency ${idx + 1} needs a name` };
+    }
+    if (names.has(name.toLowerCase())) {
+      return { error: `Competency "${name}" is listed twice` };
+    }
+    names.add(name.toLowerCase());
+
+    const weight = Number(raw?.weight ?? 1);
+    if (!Number.isFinite(weight) || weight <= 0 || weight > 100) {
+      return { error: `Competency "${name}" needs a weight between 0 and 100` };
+    }
+
+    const levels = [];
+    for (const level of Array.isArray(raw?.levels) ? raw.levels : []) {
+      const score = Number(level?.score);
+      const description = cleanText(level?.description, 300);
+      if (!Number.isInteger(score) || score < 0 || score > 100 || !description) {
+        return { error: `Competency "${name}" has a level without a 0-100 score and description` };
+      }
+      levels.push({ score, description });
+    }
+    if (levels.length > MAX_LEVELS) {
+      return { error: `Competency "${name}" can have at most ${MAX_LEVELS} score levels` };
+    }
+    levels.sort((a, b) => a.score - b.score);
+
+    competencies.push({
+      name,
+      description: cleanText(raw?.description, 500),
+      weight,
+      levels
+    });
+  }
+
+  return { rubric: { competencies } };
+}
+
+// Weighted mean of the competency scores, rounded to an integer on the 0-100 scale
+export function computeWeightedScore(rubric, scoredCompetencies) {
+  const scores = new Map(scoredCompetencies.map(c => [c.name.toLowerCase(), c.score]));
+  let total = 0;
+  let weights = 0;
+  rubric.competencies.forEach(({ name, weight }) => {
+    const score = scores.get(name.toLowerCase());
+    if (typeof score !== 'number') return;
+    total += score * weight;
+    weights += weight;
+  });
+  return weights ? Math.round(total / weights) : null;
+}
+
+export function describeRubric(rubric) {
+  const totalWeight = rubric.competencies.reduce((sum, c) => sum + c.weight, 0);
+  return rubric.competencies.map(({ name, description, weight, levels }) => {
+    const share = Math.round((weight / totalWeight) * 100);
+    const lines = [`- ${name} (weight ${share}%)${description ? `: ${description}` : ''}`];
+    levels.forEach(level => lines.push(`    ${level.score}: ${level.description}`));
+    return lines.join('\n');
+  }).join('\n');
+}
@@ -0,0 +1,204 @@
+import WebSocket from 'ws';
+import { normalizeRealtimeEvent } from '../public/src/realtimeEvents.js';
+
+// Server-side sideband to live realtime calls. After /session negotiates a call, the server
+// opens its own WebSocket to it with the call id from the calls response; the provider says
+// where (see sidebandTarget in realtimeProviders.js). It gets the same event
+// stream as the browser, so transcript and usage are recorded without trusting the page, and the
+// record-keeping tools (end_interview and the question tools) run here instead of in the page.
+export const SIDEBAND_TOOLS = ['end_interview', 'record_primary_question', 'mark_question_asked'];
+const parseArguments = (text) => {
+  try {
+    const args = JSON.parse(text || '{}');
+    return args && typeof args === 'object' ? args : {};
+  } catch {
+    return {};
+  }
+};
+
+// runTool(sessionId, { name, args, itemId, callId, spokenItemId }) resolves to the output handed
+// back to the model; tool results never start a response on their own. onTranscriptItem and
+// onUsage take the same shapes the interview page posts, so both reports of an item merge.
+export function createSideband({ WebSocketImpl = WebSocket, runTool, onTranscriptItem, onUsage, onClose }) {
+  const connections = new Map();
+
+  function send(connection, event) {
+    if (connection.socket.readyState === WebSocketImpl.OPEN) {
+      connection.socket.send(JSON.stringify(event));
+    }
+  }
+
+  async function handleToolCall(connection, item) {
+    // The call is reported on both output_item.added and .done; run it once
+    if (connection.toolCalls.has(item.call_id)) return;
+    connection.toolCalls.add(item.call_id);
+    let output;
+    try {
+      output = await runTool(connection.sessionId, {
+        name: item.name,
+        args: parseArguments(item.arguments),
+        itemId: item.id,
+        callId: item.call_id,
+        spokenItemId: connection.lastAssistantItemId
+      });
+    } catch (err) {
+      console.error(`Sideband tool ${item.name} failed for ${connection.sessionId}:`, err);
+      output = 'Could not record this; carry on with the interview.';
+    }
+    send(connection, {
+      type: 'conversation.item.create',
+      item: { type: 'function_call_output', call_id: item.call_id, output: String(output ?? '') }
+    });
+  }
+
+  // Takes one normalized event (see public/src/realtimeEvents.js)
+  function handleEvent(connection, event) {
+    const { sessionId } = connection;
+    switch (event.kind) {
+      case 'session':
+        connection.model = event.model || connection.model;
+        break;
+      case 'item':
+        if (event.previousItemId) {
+          connection.previousItems.set(event.itemId, event.previousItemId);
+        }
+        break;
+      case 'speech_started':
+        connection.speechStarts.set(event.itemId, event.audioStartMs);
+        break;
+      case 'speech_stopped': {
+        const start = connection.speechStarts.get(event.itemId);
+        if (Number.isFinite(start) && Number.isFinite(event.audioEndMs)) {
+          connection.speechSeconds.set(event.itemId, Math.max(0, event.audioEndMs - start) / 1000);
+        }
+        break;
+      }
+      case 'user_transcript_done':
+        // Without an item id there is nothing to merge the page's report with
+        if (!event.itemId) break;
+        if (event.text.trim()) {
+          onTranscriptItem(sessionId, {
+            item_id: event.itemId,
+            role: 'user',
+            type: 'message',
+            text: event.text,
+            ended_at: new Date().toISOString(),
+            source_event: event.sourceType,
+            previous_item_id: connection.previousItems.get(event.itemId) || null
+          });
+        }
+        onUsage(sessionId, {
+          kind: 'transcription',
+          id: event.itemId,
+          model: connection.model,
+          usage: event.usage,
+          speechSeconds: connection.speechSeconds.get(event.itemId)
+        });
+        break;
+      case 'assistant_transcript_done':
+        if (event.itemId && event.text.trim()) {
+          onTranscriptItem(sessionId, {
+            item_id: event.itemId,
+            role: 'assistant',
+            type: 'message',
+            text: event.text,
+            ended_at: new Date().toISOString(),
+            source_event: event.sourceType,
+            previous_item_id: connection.previousItems.get(event.itemId) || null
+          });
+        }
+        break;
+      case 'output_item':
+        // Tool calls point at the question spoken in the same response
+        if (event.item.type === 'message' && event.item.role === 'assistant') {
+          connection.lastAssistantItemId = event.item.id;
+        }
+        if (event.item.type === 'function_call' && event.item.status === 'completed'
+          && SIDEBAND_TOOLS.includes(event.item.name)) {
+          handleToolCall(connection, event.item);
+        }
+        break;
+      case 'response_done':
+        if (event.responseId && event.usage) {
+          onUsage(sessionId, { kind: 'response', id: event.responseId, model: connection.model, usage: event.usage });
+        }
+        break;
+      case 'error':
+        console.warn(`Sideband error on ${sessionId}:`, event.error?.message || event.error);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Opens the sideband for a call at target { url, headers }. A session has at most one;
+  // attaching again (e.g. after the page reconnected) replaces the old connection. It only
+  // counts as attached once the socket is open, so the page runs the tools until then.
+  function attach(sessionId, callId, target) {
+    detach(sessionId);
+    const socket = new WebSocketImpl(target.url, { headers: target.headers });
+    const connection = {
+      sessionId,
+      callId,
+      socket,
+      open: false,
+      model: null,
+      lastAssistantItemId: null,
+      toolCalls: new Set(),
+      previousItems: new Map(),
+      speechStarts: new Map(),
+      speechSeconds: new Map()
+    };
+    connections.set(sessionId, connection);
+
+    socket.on('open', () => {
+      connection.open = true;
+      console.log(`Sideband attached to call ${callId} for session ${sessionId}`);
+    });
+    socket.on('message', (data) => {
+      let event;
+      try {
+        event = JSON.parse(data.toString());
+      } catch {
+        return;
+      }
+      try {
+        normalizeRealtimeEvent(event).forEach(normalized => handleEvent(connection, normalized));
+      } catch (err) {
+        console.error(`Sideband event ${event.type} failed for ${sessionId}:`, err);
+      }
+    });
+    socket.on('error', (err) => {
+      console.warn(`Sideband connection error for ${sessionId}:`, err.message);
+      forget(connection);
+    });
+    socket.on('close', (code) => {
+      forget(connection);
+      console.log(`Sideband for session ${sessionId} closed (${code})`);
+      onClose?.(sessionId, { callId, code });
+    });
+    return connection;
+  }
+
+  // A failed or closed socket stops counting as attached, unless it was already replaced
+  function forget(connection) {
+    connection.open = false;
+    if (connections.get(connection.sessionId) === connection) {
+      connections.delete(connection.sessionId);
+    }
+  }
+
+  function detach(sessionId) {
+    const connection = connections.get(sessionId);
+    if (!connection) return false;
+    connections.delete(sessionId);
+    connection.socket.close();
+    return true;
+  }
+
+  return {
+    attach,
+    detach,
+    isAttached: (sessionId) => connections.get(sessionId)?.open === true
+  };
+}
@@ -0,0 +1,34 @@
+import { createSqliteStorage } from './sqlite.js';
+
+// Storage drivers, selected with STORAGE_DRIVER. Every driver returns an object with:
+//   getPosition(id) / listPositions() / savePosition(position)
+//   getSession(id) / listSessions({ positionId, status, createdSince }) / saveSession(session)
+//   updateSession(id, mutator)  - read-modify-write of one session inside a transaction
+//   countUsers() / getUser(id) / getUserByUsername(name) / listUsers() / saveUser(user) / deleteUser(id)
+//   createAuthSession({ tokenHash, userId, expiresAt }) / getAuthSession(tokenHash)
+//   deleteAuthSession(tokenHash) / purgeExpiredAuthSessions()
+//   saveInvitation(inv) / getInvitation(id) / listInvitations({ positionId }) / markInvitationUsed(id, sessionId)
+//   getTranscriptItem(sessionId, itemId) / listTranscriptItems(sessionId) / saveTranscriptItem(sessionId, item)
+//                               - an item with no seq is given the session's next one
+//   saveUsageEvent(sessionId, event) / listUsageEvents(sessionId)
+//   getRecording(sessionId, kind) / listSessionRecordings(sessionId) / listRecordingChunks(sessionId, kind)
+//   saveRecordingChunk(sessionId, kind, seq, size) - false once the recording stopped receiving
+//   claimRecording(sessionId, kind, staleBefore) / completeRecording(sessionId, kind, result) / listStaleRecordings(before)
+//   insertJob(job) / getJob(id) / findActiveJob(type, sessionId) / claimJob(type) / completeJob(id, result)
+//   failJob(id, { status, runAt, error }) / retryJob(id) / requeueRunningJobs() / listJobs({ sessionId, statuses })
+//   getMeta(key) / setMeta(key, value)
+//   transaction(fn)             - run fn atomically; nested calls join the outer transaction
+//   importJson({ positionsFile, sessionsFile }) - one-time import of the legacy JSON files
+//   close()
+const drivers = {
+  sqlite: createSqliteStorage
+};
+
+export function createStorage(options = {}) {
+  const driver = options.driver || 'sqlite';
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${driver}" (available: ${Object.keys(drivers).join(', ')})`);
+  }
+  return factory(options);
+}
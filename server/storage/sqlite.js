@@ -0,0 +1,707 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version.
+// Append new entries; never edit one that has shipped.
+const migrations = [
+  (db) => {
+    db.exec(`
+      CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+
+      CREATE TABLE positions (
+        position_id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_positions_created_at ON positions (created_at);
+
+      CREATE TABLE sessions (
+        session_id TEXT PRIMARY KEY,
+        position_id TEXT,
+        status TEXT,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_sessions_position_id ON sessions (position_id);
+      CREATE INDEX idx_sessions_status ON sessions (status);
+      CREATE INDEX idx_sessions_created_at ON sessions (created_at);
+    `);
+  },
+  (db) => {
+    db.exec(`
+      CREATE TABLE users (
+        user_id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE auth_sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_auth_sessions_expires_at ON auth_sessions (expires_at);
+    `);
+  },
+  (db) => {
+    db.exec(`
+      CREATE TABLE invitations (
+        invitation_id TEXT PRIMARY KEY,
+        position_id TEXT NOT NULL,
+        email TEXT NOT NULL,
+        candidate_name TEXT,
+        created_at TEXT NOT NULL,
+        created_by TEXT,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        session_id TEXT
+      );
+      CREATE INDEX idx_invitations_position_id ON invitations (position_id);
+    `);
+  },
+  (db) => {
+    db.exec(`
+      CREATE TABLE transcript_items (
+        session_id TEXT NOT NULL,
+        item_id TEXT NOT NULL,
+        seq INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (session_id, item_id)
+      );
+    `);
+  },
+  (db) => {
+    db.exec(`
+      CREATE TABLE jobs (
+        job_id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        session_id TEXT,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL,
+        run_at TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        result TEXT,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        started_at TEXT,
+        finished_at TEXT
+      );
+      CREATE INDEX idx_jobs_status_run_at ON jobs (status, run_at);
+      CREATE INDEX idx_jobs_session_id ON jobs (session_id);
+    `);
+  },
+  (db) => {
+    db.exec(`
+      CREATE TABLE recordings (
+        session_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        status TEXT NOT NULL,
+        filename TEXT,
+        chunk_count INTEGER,
+        bytes INTEGER,
+        missing TEXT,
+        finalize_reason TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        finalized_at TEXT,
+        PRIMARY KEY (session_id, kind)
+      );
+      CREATE INDEX idx_recordings_status_updated_at ON recordings (status, updated_at);
+      CREATE TABLE recording_chunks (
+        session_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        seq INTEGER NOT NULL,
+        size INTEGER NOT NULL,
+        received_at TEXT NOT NULL,
+        PRIMARY KEY (session_id, kind, seq)
+      );
+    `);
+  },
+  (db) => {
+    db.exec(`
+      CREATE TABLE usage_events (
+        session_id TEXT NOT NULL,
+        usage_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (session_id, usage_id)
+      );
+    `);
+  }
+];
+
+function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  for (let version = current; version < migrations.length; version++) {
+    db.transaction(() => {
+      migrations[version](db);
+      db.pragma(`user_version = ${version + 1}`);
+    })();
+  }
+}
+
+function readJsonArray(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return [];
+  const raw = fs.readFileSync(filePath, 'utf8');
+  if (!raw || !raw.trim()) return [];
+  const parsed = JSON.parse(raw);
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+export function createSqliteStorage({ databasePath }) {
+  fs.mkdirSync(path.dirname(databasePath), { recursive: true });
+  const db = new Database(databasePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+
+  const statements = {
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+    getPosition: db.prepare('SELECT data FROM positions WHERE position_id = ?'),
+    listPositions: db.prepare('SELECT data FROM positions ORDER BY created_at ASC'),
+    upsertPosition: db.prepare(`
+      INSERT INTO positions (position_id, created_at, data) VALUES (@id, @createdAt, @data)
+      ON CONFLICT (position_id) DO UPDATE SET data = excluded.data
+    `),
+    getSession: db.prepare('SELECT data FROM sessions WHERE session_id = ?'),
+    upsertSession: db.prepare(`
+      INSERT INTO sessions (session_id, position_id, status, created_at, data)
+      VALUES (@id, @positionId, @status, @createdAt, @data)
+      ON CONFLICT (session_id) DO UPDATE SET
+        position_id = excluded.position_id,
+        status = excluded.status,
+        data = excluded.data
+    `),
+    countUsers: db.prepare('SELECT COUNT(*) AS count FROM users'),
+    getUser: db.prepare('SELECT user_id, username, password_hash, role, created_at FROM users WHERE user_id = ?'),
+    getUserByUsername: db.prepare('SELECT user_id, username, password_hash, role, created_at FROM users WHERE username = ?'),
+    listUsers: db.prepare('SELECT user_id, username, password_hash, role, created_at FROM users ORDER BY username'),
+    upsertUser: db.prepare(`
+      INSERT INTO users (user_id, username, password_hash, role, created_at)
+      VALUES (@userId, @username, @passwordHash, @role, @createdAt)
+      ON CONFLICT (user_id) DO UPDATE SET
+        username = excluded.username,
+        password_hash = excluded.password_hash,
+        role = excluded.role
+    `),
+    deleteUser: db.prepare('DELETE FROM users WHERE user_id = ?'),
+    insertAuthSession: db.prepare('INSERT INTO auth_sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)'),
+    getAuthSession: db.prepare('SELECT token_hash, user_id, expires_at FROM auth_sessions WHERE token_hash = ? AND expires_at > ?'),
+    deleteAuthSession: db.prepare('DELETE FROM auth_sessions WHERE token_hash = ?'),
+    purgeAuthSessions: db.prepare('DELETE FROM auth_sessions WHERE expires_at <= ?'),
+    insertInvitation: db.prepare(`
+      INSERT INTO invitations (invitation_id, position_id, email, candidate_name, created_at, created_by, expires_at)
+      VALUES (@invitationId, @positionId, @email, @candidateName, @createdAt, @createdBy, @expiresAt)
+    `),
+    getInvitation: db.prepare('SELECT * FROM invitations WHERE invitation_id = ?'),
+    listInvitations: db.prepare('SELECT * FROM invitations WHERE position_id = ? ORDER BY created_at DESC'),
+    markInvitationUsed: db.prepare('UPDATE invitations SET used_at = ?, session_id = ? WHERE invitation_id = ? AND used_at IS NULL'),
+    getTranscriptItem: db.prepare('SELECT data FROM transcript_items WHERE session_id = ? AND item_id = ?'),
+    listTranscriptItems: db.prepare('SELECT data FROM transcript_items WHERE session_id = ? ORDER BY seq ASC'),
+    nextTranscriptSeq: db.prepare('SELECT COALESCE(MAX(seq) + 1, 0) AS seq FROM transcript_items WHERE session_id = ?'),
+    insertJob: db.prepare(`
+      INSERT INTO jobs (job_id, type, session_id, status, attempts, max_attempts, run_at, payload, created_at, updated_at)
+      VALUES (@jobId, @type, @sessionId, 'pending', 0, @maxAttempts, @runAt, @payload, @now, @now)
+    `),
+    getJob: db.prepare('SELECT * FROM jobs WHERE job_id = ?'),
+    findActiveJob: db.prepare(`
+      SELECT * FROM jobs WHERE type = ? AND session_id = ? AND status IN ('pending', 'running')
+      ORDER BY created_at DESC LIMIT 1
+    `),
+    claimJob: db.prepare(`
+      UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = @now, updated_at = @now
+      WHERE job_id = (
+        SELECT job_id FROM jobs WHERE status = 'pending' AND type = @type AND run_at <= @now
+        ORDER BY run_at ASC LIMIT 1
+      )
+      RETURNING *
+    `),
+    completeJob: db.prepare(`
+      UPDATE jobs SET status = 'succeeded', result = @result, last_error = NULL, finished_at = @now, updated_at = @now
+      WHERE job_id = @jobId
+    `),
+    failJob: db.prepare(`
+      UPDATE jobs SET status = @status, run_at = @runAt, last_error = @error, finished_at = @finishedAt, updated_at = @now
+      WHERE job_id = @jobId
+    `),
+    retryJob: db.prepare(`
+      UPDATE jobs SET status = 'pending', attempts = 0, run_at = @now, finished_at = NULL, updated_at = @now
+      WHERE job_id = @jobId AND status = 'failed'
+    `),
+    requeueRunningJobs: db.prepare(`UPDATE jobs SET status = 'pending', updated_at = @now WHERE status = 'running'`),
+    getRecording: db.prepare('SELECT * FROM recordings WHERE session_id = ? AND kind = ?'),
+    listSessionRecordings: db.prepare('SELECT * FROM recordings WHERE session_id = ? ORDER BY created_at ASC'),
+    touchRecording: db.prepare(`
+      INSERT INTO recordings (session_id, kind, status, created_at, updated_at)
+      VALUES (@sessionId, @kind, 'receiving', @now, @now)
+      ON CONFLICT (session_id, kind) DO UPDATE SET updated_at = excluded.updated_at
+    `),
+    upsertRecordingChunk: db.prepare(`
+      INSERT INTO recording_chunks (session_id, kind, seq, size, received_at)
+      VALUES (@sessionId, @kind, @seq, @size, @now)
+      ON CONFLICT (session_id, kind, seq) DO UPDATE SET size = excluded.size, received_at = excluded.received_at
+    `),
+    listRecordingChunks: db.prepare('SELECT seq, size FROM recording_chunks WHERE session_id = ? AND kind = ? ORDER BY seq ASC'),
+    deleteRecordingChunks: db.prepare('DELETE FROM recording_chunks WHERE session_id = ? AND kind = ?'),
+    claimRecording: db.prepare(`
+      UPDATE recordings SET status = 'finalizing', updated_at = @now
+      WHERE session_id = @sessionId AND kind = @kind
+        AND (status = 'receiving' OR (status = 'finalizing' AND updated_at < @staleBefore))
+    `),
+    completeRecording: db.prepare(`
+      UPDATE recordings SET status = 'finalized', filename = @filename, missing = @missing, finalize_reason = @reason,
+        chunk_count = (SELECT COUNT(*) FROM recording_chunks WHERE session_id = @sessionId AND kind = @kind),
+        bytes = (SELECT COALESCE(SUM(size), 0) FROM recording_chunks WHERE session_id = @sessionId AND kind = @kind),
+        updated_at = @now, finalized_at = @now
+      WHERE session_id = @sessionId AND kind = @kind
+    `),
+    listStaleRecordings: db.prepare(`
+      SELECT * FROM recordings WHERE status IN ('receiving', 'finalizing') AND updated_at < ?
+    `),
+    insertUsageEvent: db.prepare(`
+      INSERT OR IGNORE INTO usage_events (session_id, usage_id, kind, created_at, data)
+      VALUES (@sessionId, @usageId, @kind, @createdAt, @data)
+    `),
+    listUsageEvents: db.prepare('SELECT data FROM usage_events WHERE session_id = ? ORDER BY created_at ASC'),
+    upsertTranscriptItem: db.prepare(`
+      INSERT INTO transcript_items (session_id, item_id, seq, data) VALUES (@sessionId, @itemId, @seq, @data)
+      ON CONFLICT (session_id, item_id) DO UPDATE SET seq = excluded.seq, data = excluded.data
+    `)
+  };
+
+  const parseRow = (row) => (row ? JSON.parse(row.data) : null);
+  const toInvitation = (row) => (row ? {
+    invitationId: row.invitation_id,
+    positionId: row.position_id,
+    email: row.email,
+    candidateName: row.candidate_name,
+    createdAt: row.created_at,
+    createdBy: row.created_by,
+    expiresAt: row.expires_at,
+    usedAt: row.used_at,
+    sessionId: row.session_id
+  } : null);
+  const toJob = (row) => (row ? {
+    jobId: row.job_id,
+    type: row.type,
+    sessionId: row.session_id,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runAt: row.run_at,
+    payload: JSON.parse(row.payload),
+    result: row.result ? JSON.parse(row.result) : null,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  } : null);
+  const toRecording = (row) => (row ? {
+    sessionId: row.session_id,
+    kind: row.kind,
+    status: row.status,
+    filename: row.filename,
+    chunkCount: row.chunk_count,
+    bytes: row.bytes,
+    missing: row.missing ? JSON.parse(row.missing) : [],
+    finalizeReason: row.finalize_reason,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    finalizedAt: row.finalized_at
+  } : null);
+  const toUser = (row) => (row ? {
+    userId: row.user_id,
+    username: row.username,
+    passwordHash: row.password_hash,
+    role: row.role,
+    createdAt: row.created_at
+  } : null);
+
+  const transaction = (fn) => db.transaction(fn)();
+
+  function getPosition(positionId) {
+    return parseRow(statements.getPosition.get(positionId));
+  }
+
+  function listPositions() {
+    return statements.listPositions.all().map(parseRow);
+  }
+
+  function savePosition(position) {
+    statements.upsertPosition.run({
+      id: position.positionId,
+      createdAt: position.createdAt || new Date().toISOString(),
+      data: JSON.stringify(position)
+    });
+    return position;
+  }
+
+  function getSession(sessionId) {
+    return parseRow(statements.getSession.get(sessionId));
+  }
+
+  function listSessions({ positionId, status, createdSince } = {}) {
+    const clauses = [];
+    const params = {};
+    if (positionId) {
+      clauses.push('position_id = @positionId');
+      params.positionId = positionId;
+    }
+    if (status) {
+      clauses.push('status = @status');
+      params.status = status;
+    }
+    if (createdSince) {
+      clauses.push('created_at >= @createdSince');
+      params.createdSince = createdSince;
+    }
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    return db.prepare(`SELECT data FROM sessions ${where} ORDER BY created_at ASC`).all(params).map(parseRow);
+  }
+
+  function saveSession(session) {
+    statements.upsertSession.run({
+      id: session.sessionId,
+      positionId: session.positionId || null,
+      status: session.status || null,
+      createdAt: session.createdAt || new Date().toISOString(),
+      data: JSON.stringify(session)
+    });
+    return session;
+  }
+
+  // Re-reads the row inside the transaction so concurrent handlers never overwrite each other's fields.
+  function updateSession(sessionId, mutator) {
+    return transaction(() => {
+      const session = getSession(sessionId);
+      if (!session) return null;
+      const result = mutator(session);
+      return saveSession(result || session);
+    });
+  }
+
+  function countUsers() {
+    return statements.countUsers.get().count;
+  }
+
+  function getUser(userId) {
+    return toUser(statements.getUser.get(userId));
+  }
+
+  function getUserByUsername(username) {
+    return toUser(statements.getUserByUsername.get(username));
+  }
+
+  function listUsers() {
+    return statements.listUsers.all().map(toUser);
+  }
+
+  function saveUser(user) {
+    const record = { ...user, createdAt: user.createdAt || new Date().toISOString() };
+    statements.upsertUser.run({
+      userId: record.userId,
+      username: record.username,
+      passwordHash: record.passwordHash,
+      role: record.role,
+      createdAt: record.createdAt
+    });
+    return record;
+  }
+
+  function deleteUser(userId) {
+    return statements.deleteUser.run(userId).changes > 0;
+  }
+
+  function createAuthSession({ tokenHash, userId, expiresAt }) {
+    statements.insertAuthSession.run(tokenHash, userId, new Date().toISOString(), expiresAt);
+  }
+
+  function getAuthSession(tokenHash) {
+    const row = statements.getAuthSession.get(tokenHash, new Date().toISOString());
+    return row ? { tokenHash: row.token_hash, userId: row.user_id, expiresAt: row.expires_at } : null;
+  }
+
+  function deleteAuthSession(tokenHash) {
+    statements.deleteAuthSession.run(tokenHash);
+  }
+
+  function purgeExpiredAuthSessions() {
+    return statements.purgeAuthSessions.run(new Date().toISOString()).changes;
+  }
+
+  function saveInvitation(invitation) {
+    const record = { candidateName: null, createdBy: null, ...invitation, createdAt: invitation.createdAt || new Date().toISOString() };
+    statements.insertInvitation.run(record);
+    return { ...record, usedAt: null, sessionId: null };
+  }
+
+  function getInvitation(invitationId) {
+    return toInvitation(statements.getInvitation.get(invitationId));
+  }
+
+  function listInvitations({ positionId }) {
+    return statements.listInvitations.all(positionId).map(toInvitation);
+  }
+
+  // Returns false when the invitation was already used, so two tabs cannot both consume it
+  function markInvitationUsed(invitationId, sessionId) {
+    return statements.markInvitationUsed.run(new Date().toISOString(), sessionId, invitationId).changes === 1;
+  }
+
+  function getTranscriptItem(sessionId, itemId) {
+    return parseRow(statements.getTranscriptItem.get(sessionId, itemId));
+  }
+
+  function listTranscriptItems(sessionId) {
+    return statements.listTranscriptItems.all(sessionId).map(parseRow);
+  }
+
+  // An item saved without a seq goes after everything already stored for the session
+  function saveTranscriptItem(sessionId, item) {
+    return transaction(() => {
+      const saved = Number.isInteger(item.seq)
+        ? item
+        : { ...item, seq: statements.nextTranscriptSeq.get(sessionId).seq };
+      statements.upsertTranscriptItem.run({
+        sessionId,
+        itemId: saved.item_id,
+        seq: saved.seq,
+        data: JSON.stringify(saved)
+      });
+      return saved;
+    });
+  }
+
+  // Returns false when this usage id was already recorded (the client re-sent it)
+  function saveUsageEvent(sessionId, event) {
+    return statements.insertUsageEvent.run({
+      sessionId,
+      usageId: event.usageId,
+      kind: event.kind,
+      createdAt: event.reportedAt,
+      data: JSON.stringify(event)
+    }).changes === 1;
+  }
+
+  function listUsageEvents(sessionId) {
+    return statements.listUsageEvents.all(sessionId).map(parseRow);
+  }
+
+  function getRecording(sessionId, kind) {
+    return toRecording(statements.getRecording.get(sessionId, kind));
+  }
+
+  function listSessionRecordings(sessionId) {
+    return statements.listSessionRecordings.all(sessionId).map(toRecording);
+  }
+
+  // Creates the recording on its first chunk; re-sent chunks replace the earlier copy.
+  // Returns false, saving nothing, once the recording is being finalized.
+  function saveRecordingChunk(sessionId, kind, seq, size) {
+    const now = new Date().toISOString();
+    return transaction(() => {
+      const existing = statements.getRecording.get(sessionId, kind);
+      if (existing && existing.status !== 'receiving') return false;
+      statements.touchRecording.run({ sessionId, kind, now });
+      statements.upsertRecordingChunk.run({ sessionId, kind, seq, size, now });
+      return true;
+    });
+  }
+
+  function listRecordingChunks(sessionId, kind) {
+    return statements.listRecordingChunks.all(sessionId, kind);
+  }
+
+  // Moves a recording to 'finalizing' so only one caller assembles it. A finalize that has not
+  // finished since staleBefore (e.g. the server died mid-way) can be claimed again.
+  function claimRecording(sessionId, kind, staleBefore) {
+    const now = new Date().toISOString();
+    return statements.claimRecording.run({ sessionId, kind, now, staleBefore: staleBefore || now }).changes === 1;
+  }
+
+  function completeRecording(sessionId, kind, { filename, missing, reason }) {
+    transaction(() => {
+      statements.completeRecording.run({
+        sessionId,
+        kind,
+        filename,
+        missing: JSON.stringify(missing || []),
+        reason,
+        now: new Date().toISOString()
+      });
+      statements.deleteRecordingChunks.run(sessionId, kind);
+    });
+    return getRecording(sessionId, kind);
+  }
+
+  function listStaleRecordings(before) {
+    return statements.listStaleRecordings.all(before).map(toRecording);
+  }
+
+  function insertJob({ jobId, type, sessionId, payload, maxAttempts, runAt }) {
+    const now = new Date().toISOString();
+    statements.insertJob.run({
+      jobId,
+      type,
+      sessionId: sessionId || null,
+      maxAttempts,
+      runAt: runAt || now,
+      payload: JSON.stringify(payload || {}),
+      now
+    });
+    return getJob(jobId);
+  }
+
+  function getJob(jobId) {
+    return toJob(statements.getJob.get(jobId));
+  }
+
+  function findActiveJob(type, sessionId) {
+    return toJob(statements.findActiveJob.get(type, sessionId));
+  }
+
+  // Atomically moves the next due job of this type to running and returns it
+  function claimJob(type) {
+    return toJob(statements.claimJob.get({ type, now: new Date().toISOString() }));
+  }
+
+  function completeJob(jobId, result) {
+    statements.completeJob.run({ jobId, result: JSON.stringify(result ?? null), now: new Date().toISOString() });
+  }
+
+  // status is 'pending' (retry at runAt) or 'failed' (out of attempts)
+  function failJob(jobId, { status, runAt, error }) {
+    const now = new Date().toISOString();
+    statements.failJob.run({
+      jobId,
+      status,
+      runAt: runAt || now,
+      error,
+      finishedAt: status === 'failed' ? now : null,
+      now
+    });
+  }
+
+  function retryJob(jobId) {
+    return statements.retryJob.run({ jobId, now: new Date().toISOString() }).changes === 1;
+  }
+
+  function requeueRunningJobs() {
+    return statements.requeueRunningJobs.run({ now: new Date().toISOString() }).changes;
+  }
+
+  function listJobs({ sessionId, statuses, limit = 200 } = {}) {
+    const clauses = [];
+    const params = { limit };
+    if (sessionId) {
+      clauses.push('session_id = @sessionId');
+      params.sessionId = sessionId;
+    }
+    if (statuses && statuses.length) {
+      clauses.push(`status IN (${statuses.map((_, idx) => `@status${idx}`).join(', ')})`);
+      statuses.forEach((status, idx) => { params[`status${idx}`] = status; });
+    }
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    return db.prepare(`SELECT * FROM jobs ${where} ORDER BY created_at DESC LIMIT @limit`).all(params).map(toJob);
+  }
+
+  function getMeta(key) {
+    const row = statements.getMeta.get(key);
+    return row ? row.value : null;
+  }
+
+  function setMeta(key, value) {
+    statements.setMeta.run(key, value);
+  }
+
+  function importJson({ positionsFile, sessionsFile }) {
+    if (statements.getMeta.get('json_import')) {
+      return { imported: false };
+    }
+
+    const positionsArray = readJsonArray(positionsFile);
+    const sessionsArray = readJsonArray(sessionsFile);
+
+    // Older sessions predate positionId; recover it from the position's session list.
+    const positionBySession = new Map();
+    positionsArray.forEach(position => {
+      (position.interviewSessions || []).forEach(sessionId => positionBySession.set(sessionId, position.positionId));
+    });
+
+    transaction(() => {
+      positionsArray.forEach(({ interviewSessions, ...position }) => savePosition(position));
+      sessionsArray.forEach(session => {
+        saveSession({
+          ...session,
+          positionId: session.positionId || positionBySession.get(session.sessionId) || null
+        });
+      });
+      statements.setMeta.run('json_import', new Date().toISOString());
+    });
+
+    return { imported: true, positions: positionsArray.length, sessions: sessionsArray.length };
+  }
+
+  return {
+    transaction,
+    getPosition,
+    listPositions,
+    savePosition,
+    getSession,
+    listSessions,
+    saveSession,
+    updateSession,
+    countUsers,
+    getUser,
+    getUserByUsername,
+    listUsers,
+    saveUser,
+    deleteUser,
+    createAuthSession,
+    getAuthSession,
+    deleteAuthSession,
+    purgeExpiredAuthSessions,
+    saveInvitation,
+    getInvitation,
+    listInvitations,
+    markInvitationUsed,
+    getTranscriptItem,
+    listTranscriptItems,
+    saveTranscriptItem,
+    saveUsageEvent,
+    listUsageEvents,
+    getRecording,
+    listSessionRecordings,
+    saveRecordingChunk,
+    listRecordingChunks,
+    claimRecording,
+    completeRecording,
+    listStaleRecordings,
+    insertJob,
+    getJob,
+    findActiveJob,
+    claimJob,
+    completeJob,
+    failJob,
+    retryJob,
+    requeueRunningJobs,
+    listJobs,
+    getMeta,
+    setMeta,
+    importJson,
+    close: () => db.close()
+  };
+}
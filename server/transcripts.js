@@ -0,0 +1,118 @@
+const ROLES = ['user', 'assistant', 'system'];
+const ITEM_TYPES = ['message', 'function_call'];
+const MAX_TEXT_LENGTH = 20000;
+
+function toIsoOrNull(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// Validates one finalized conversation item posted by the interview client.
+// Returns { item } or { error }.
+export function normalizeTranscriptItem(body) {
+  const raw = body || {};
+  const itemId = typeof raw.item_id === 'string' ? raw.item_id.trim() : '';
+  if (!itemId || itemId.length > 128) {
+    return { error: 'item_id is required' };
+  }
+  if (!ROLES.includes(raw.role)) {
+    return { error: `role must be one of: ${ROLES.join(', ')}` };
+  }
+  const type = raw.type || 'message';
+  if (!ITEM_TYPES.includes(type)) {
+    return { error: `type must be one of: ${ITEM_TYPES.join(', ')}` };
+  }
+  const text = typeof raw.text === 'string' ? raw.text.slice(0, MAX_TEXT_LENGTH) : '';
+  if (type === 'message' && !text.trim()) {
+    return { error: 'text is required for message items' };
+  }
+
+  const item = {
+    item_id: itemId,
+    role: raw.role,
+    type,
+    text,
+    started_at: toIsoOrNull(raw.started_at),
+    ended_at: toIsoOrNull(raw.ended_at),
+    source_event: typeof raw.source_event === 'string' ? raw.source_event.slice(0, 128) : null,
+    previous_item_id: typeof raw.previous_item_id === 'string' ? raw.previous_item_id.slice(0, 128) : null
+  };
+  if (type === 'function_call') {
+    item.name = typeof raw.name === 'string' ? raw.name.slice(0, 128) : null;
+    item.arguments = typeof raw.arguments === 'string' ? raw.arguments.slice(0, MAX_TEXT_LENGTH) : null;
+  }
+  return { item };
+}
+
+// The same item can be reported more than once (e.g. committed, then transcription completed).
+// Keep the earliest start, the latest end and the most recent final text.
+export function mergeTranscriptItem(existing, incoming) {
+  if (!existing) return incoming;
+  const earliest = [existing.started_at, incoming.started_at].filter(Boolean).sort()[0] || null;
+  const latest = [existing.ended_at, incoming.ended_at].filter(Boolean).sort().pop() || null;
+  return {
+    ...existing,
+    ...incoming,
+    text: incoming.text || existing.text,
+    started_at: earliest,
+    ended_at: latest,
+    previous_item_id: incoming.previous_item_id || existing.previous_item_id,
+    seq: existing.seq
+  };
+}
+
+// Orders items by the server-reported previous_item_id chain, falling back to arrival order
+// for items whose predecessor was never reported.
+export function orderTranscriptItems(items) {
+  const bySeq = [...items].sort((a, b) => a.seq - b.seq);
+  const ids = new Set(bySeq.map(item => item.item_id));
+  const children = new Map();
+  const roots = [];
+  bySeq.forEach(item => {
+    const parent = item.previous_item_id;
+    if (parent && ids.has(parent) && parent !== item.item_id) {
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push(item);
+    } else {
+      roots.push(item);
+    }
+  });
+
+  const ordered = [];
+  const visited = new Set();
+  const visit = (item) => {
+    if (visited.has(item.item_id)) return;
+    visited.add(item.item_id);
+    ordered.push(item);
+    (children.get(item.item_id) || []).forEach(visit);
+  };
+  roots.forEach(visit);
+  // Anything left is part of a cycle in bad client data; keep it rather than drop it
+  bySeq.forEach(visit);
+  return ordered;
+}
+
+export function renderTranscriptText(items) {
+  return items
+    .filter(item => item.type === 'message' && item.text && item.text.trim())
+    .map(item => `${item.role.toUpperCase()}: ${item.text.trim()}`)
+    .join('\n');
+}
+
+export function createTranscriptRecorder({ storage }) {
+  // The page and the sideband both report items, so arrival order (seq) is assigned by storage
+  // when an item is first saved; a re-reported item keeps its place.
+  function record(sessionId, item) {
+    return storage.transaction(() => {
+      const existing = storage.getTranscriptItem(sessionId, item.item_id);
+      return storage.saveTranscriptItem(sessionId, mergeTranscriptItem(existing, { ...item, seq: null }));
+    });
+  }
+
+  function load(sessionId) {
+    return orderTranscriptItems(storage.listTranscriptItems(sessionId));
+  }
+
+  return { record, load };
+}
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createBudgets } from '../server/budgets.js';
+import { addAnalysisUsage, normalizeAnalysisUsage, resolveAnalysisRateModel } from '../server/costs.js';
+
+const analysisRates = JSON.parse(fs.readFileSync(
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'pricing', 'analysis_rates.json'), 'utf8'));
+
+test('analysis rates resolve Bedrock ids and OpenAI names to the longest matching model', () => {
+  assert.equal(resolveAnalysisRateModel(analysisRates, 'us.anthropic.claude-haiku-4-5-20251001-v1:0'), 'claude-haiku-4-5');
+  assert.equal(resolveAnalysisRateModel(analysisRates, 'anthropic.claude-sonnet-4-5-20250929-v1:0'), 'claude-sonnet-4-5');
+  assert.equal(resolveAnalysisRateModel(analysisRates, 'gpt-4o-mini-2024-07-18'), 'gpt-4o-mini');
+  assert.equal(resolveAnalysisRateModel(analysisRates, 'my-azure-deployment'), null);
+});
+
+test('analysis usage adds up every call across runs and marks unpriced models', () => {
+  // Bedrock reports input_tokens, chat completions prompt_tokens
+  const calls = [
+    normalizeAnalysisUsage({ input_tokens: 4000, output_tokens: 1000 }),
+    normalizeAnalysisUsage({ prompt_tokens: 2000, completion_tokens: 1000 })
+  ];
+  const first = addAnalysisUsage(null, calls, analysisRates, { provider: 'bedrock', model: 'us.anthropic.claude-haiku-4-5-20251001-v1:0' });
+  assert.equal(first.calls, 2);
+  assert.equal(first.inputTokens, 6000);
+  assert.equal(first.outputTokens, 2000);
+  // 6000 input at $1/M plus 2000 output at $5/M
+  assert.equal(first.costUSD, 0.016);
+  assert.equal(first.unpriced, false);
+
+  const second = addAnalysisUsage(first, [normalizeAnalysisUsage({ prompt_tokens: 500, completion_tokens: 100 })], analysisRates, { provider: 'local', model: 'llama3' });
+  assert.equal(second.calls, 3);
+  assert.equal(second.costUSD, 0.016);
+  assert.equal(second.unpriced, true);
+});
+
+test('budgets count analysis cost with realtime cost', () => {
+  const sessions = [
+    { sessionId: 's1', positionId: 'p1', usage: { costUSD: { total: 0.6 } }, analysisUsage: { costUSD: 0.5 } },
+    { sessionId: 's2', positionId: 'p1', usage: null, analysisUsage: null }
+  ];
+  const storage = {
+    listSessions: ({ positionId } = {}) => sessions.filter(session => !positionId || session.positionId === positionId),
+    listPositions: () => []
+  };
+  const budgets = createBudgets({ storage, monthlyCapUSD: 2 });
+  const position = { positionId: 'p1', budget: { totalUSD: 1 } };
+
+  assert.deepEqual(budgets.forPosition(position), { spentUSD: 1.1, capUSD: 1, state: 'exceeded' });
+  assert.equal(budgets.blockNewInterview(position).scope, 'position');
+  assert.equal(budgets.monthly().spentUSD, 1.1);
+});
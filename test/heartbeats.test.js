@@ -0,0 +1,59 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSqliteStorage } from '../server/storage/sqlite.js';
+import { createHeartbeatMonitor } from '../server/heartbeats.js';
+
+let dataDir;
+let storage;
+let ended;
+
+function monitor(options = {}) {
+  return createHeartbeatMonitor({
+    storage,
+    loadTranscript: () => [],
+    onEndedEarly: async (session) => { ended.push(session); },
+    ...options
+  });
+}
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'heartbeats-'));
+  storage = createSqliteStorage({ databasePath: path.join(dataDir, 'interviews.db') });
+  ended = [];
+  storage.saveSession({ sessionId: 's1', status: 'pending', createdAt: new Date().toISOString() });
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a page that comes back within the grace period keeps its session running', async () => {
+  const heartbeats = monitor({ leaveGraceMs: 60 * 1000 });
+  heartbeats.markStarted('s1');
+  assert.ok(heartbeats.noteLeft('s1').leftPageAt);
+
+  // The reloaded page starts again before the sweep runs
+  assert.equal(heartbeats.markStarted('s1').session.status, 'in-progress');
+  await heartbeats.sweep();
+  assert.equal(storage.getSession('s1').status, 'in-progress');
+  assert.equal(storage.getSession('s1').leftPageAt, null);
+  assert.equal(ended.length, 0);
+});
+
+test('a page that does not come back is closed by the sweep as having left', async () => {
+  const heartbeats = monitor({ leaveGraceMs: 0 });
+  heartbeats.markStarted('s1');
+  heartbeats.noteLeft('s1');
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await heartbeats.sweep();
+
+  const session = storage.getSession('s1');
+  assert.equal(session.status, 'abandoned');
+  assert.equal(session.endReason, 'left_page');
+  assert.equal(ended.length, 1);
+  assert.deepEqual(heartbeats.markStarted('s1'), { code: 409, error: 'Session is abandoned' });
+  assert.equal(heartbeats.noteLeft('s1'), null);
+});
@@ -0,0 +1,191 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+import { createMockRealtimeServer, DEFAULT_MOCK_SCRIPT } from '../server/mockRealtime.js';
+import { loadRealtimeRates, normalizeResponseUsage, normalizeTranscriptionUsage, summarizeUsage } from '../server/costs.js';
+
+// Runs one interview end to end against the mock realtime backend: the app is started as its
+// own process with REALTIME_MOCK_URL pointing at the mock, and the interview goes through
+// start-interview, /session and the server's sideband, with no browser. DATA_ROOT keeps
+// everything the app writes (database, transcripts, recordings) in a temp dir.
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const RESPONSE_USAGE = {
+  total_tokens: 500,
+  input_tokens: 380,
+  output_tokens: 120,
+  input_token_details: { text_tokens: 300, audio_tokens: 80, cached_tokens: 0 },
+  output_token_details: { text_tokens: 20, audio_tokens: 100 }
+};
+const script = DEFAULT_MOCK_SCRIPT.map(step => (step.say ? { ...step, usage: RESPONSE_USAGE } : step));
+
+let mock;
+let app;
+let appUrl;
+let dataDir;
+let cookie = '';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitFor(check, what, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+async function api(method, route, body) {
+  const headers = { Cookie: cookie };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  const response = await fetch(`${appUrl}${route}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const setCookie = response.headers.get('set-cookie');
+  if (setCookie) cookie = setCookie.split(';')[0];
+  const data = await response.json().catch(() => null);
+  assert.ok(response.ok, `${method} ${route} answered ${response.status}: ${JSON.stringify(data)}`);
+  return data;
+}
+
+async function storedSession(sessionId) {
+  const positions = await api('GET', '/api/positions');
+  return positions.flatMap(position => position.sessions).find(session => session.sessionId === sessionId);
+}
+
+before(async () => {
+  mock = createMockRealtimeServer({ script, stepDelayMs: 20 });
+  await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-interview-'));
+  const port = await freePort();
+  appUrl = `http://127.0.0.1:${port}`;
+
+  app = spawn(process.execPath, ['server.js'], {
+    cwd: rootDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_ROOT: dataDir,
+      DATABASE_PATH: '',
+      ADMIN_USERNAME: 'admin',
+      ADMIN_PASSWORD: 'adminpass123',
+      OPENAI_API_KEY: '',
+      REALTIME_MOCK: '1',
+      REALTIME_MOCK_URL: `http://127.0.0.1:${mock.server.address().port}/v1/realtime`,
+      REALTIME_PROVIDER: 'mock',
+      REALTIME_FALLBACK_PROVIDER: '',
+      REALTIME_SIDEBAND: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  app.stdout.on('data', chunk => { output += chunk; });
+  app.stderr.on('data', chunk => { output += chunk; });
+  await waitFor(() => {
+    if (app.exitCode !== null) throw new Error(`The app exited early:\n${output}`);
+    return output.includes('running on');
+  }, 'the app to start', 20000);
+});
+
+after(async () => {
+  if (app && app.exitCode === null) {
+    const exited = new Promise(resolve => app.once('exit', resolve));
+    app.kill();
+    await exited;
+  }
+  await new Promise(resolve => mock.server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a mock interview over the sideband records its transcript, questions and cost', async () => {
+  await api('POST', '/api/auth/login', { username: 'admin', password: 'adminpass123' });
+  const { positionId } = await api('POST', '/api/create-position', {
+    jobTitle: 'Backend Engineer',
+    jobDescription: 'Builds and runs our billing services.',
+    maxQuestions: 2
+  });
+  const { invitations } = await api('POST', `/api/position/${positionId}/invitations`, {
+    candidates: [{ email: 'ada@example.com', name: 'Ada' }]
+  });
+  const inviteToken = new URL(invitations[0].interviewLink, appUrl).searchParams.get('invite');
+  const { sessionId } = await api('POST', `/api/position/${positionId}/start-interview`, { inviteToken, candidateName: 'Ada' });
+  await api('PATCH', `/api/session/${sessionId}/status`, { status: 'in-progress' });
+  // The page reports usage too, and may name any model; pricing ignores it
+  await api('POST', `/api/session/${sessionId}/usage`, { kind: 'transcription', id: 'page-first', model: 'x', usage: { type: 'duration', seconds: 0 } });
+
+  const negotiated = await fetch(`${appUrl}/session?sessionId=${encodeURIComponent(sessionId)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/sdp' },
+    body: 'v=0\r\no=- 0 0 IN IP4 127.0.0.1\r\ns=offer\r\nt=0 0\r\n'
+  });
+  assert.equal(negotiated.status, 200);
+  assert.match(negotiated.headers.get('location'), /^\/v1\/realtime\/calls\/rtc_/);
+  await waitFor(async () => (await api('GET', `/api/session/${sessionId}`)).sidebandAttached, 'the sideband to attach');
+
+  // Like the real API, the mock sends a socket only what happens after it joins, so the
+  // interview starts once the sideband is in: a stand-in for the page asks for the first response
+  const callId = negotiated.headers.get('location').split('/').pop();
+  const page = new WebSocket(`ws://127.0.0.1:${mock.server.address().port}/v1/realtime?call_id=${callId}`);
+  await new Promise((resolve, reject) => page.once('open', resolve).once('error', reject));
+  page.send(JSON.stringify({ type: 'response.create' }));
+
+  // The script ends with end_interview; the sideband records it and answers every tool call
+  const session = await waitFor(async () => {
+    const current = await storedSession(sessionId);
+    return current.endRequestedAt && current.usage?.responses === 3 ? current : null;
+  }, 'the script to finish');
+  page.close();
+  const call = mock.calls.get(session.realtimeCallId);
+  const outputs = await waitFor(() => {
+    const sent = call.received.map(entry => entry.event).filter(event => event.item?.type === 'function_call_output');
+    return sent.length === 3 ? sent : null;
+  }, 'the tool outputs');
+  assert.equal(outputs[2].item.output, 'Interview ended');
+
+  const { items } = await api('GET', `/api/session/${sessionId}/transcript`);
+  assert.deepEqual(items.map(item => [item.role, item.text]), script
+    .filter(step => step.say || step.hear)
+    .map(step => (step.say ? ['assistant', step.say] : ['user', step.hear])));
+  assert.deepEqual(items.map(item => item.seq), [0, 1, 2, 3, 4]);
+
+  assert.equal(session.primaryQuestions.length, 2);
+  assert.equal(session.endRequestReason, 'Interview completed');
+  assert.equal(session.realtimeProvider, 'mock');
+
+  // Priced the way the server prices it, from the same rates file
+  const expected = summarizeUsage([
+    ...script.filter(step => step.say).map(() => ({ kind: 'response', usage: normalizeResponseUsage(RESPONSE_USAGE) })),
+    ...script.filter(step => step.hear).map(step => ({ kind: 'transcription', usage: normalizeTranscriptionUsage({ type: 'duration', seconds: step.seconds }) }))
+  ], loadRealtimeRates(path.join(rootDir, 'pricing', 'realtime_rates.json')), { model: 'gpt-realtime-mini', transcriptionModel: 'whisper-1' });
+  assert.equal(session.usage.rateModel, 'gpt-realtime-mini');
+  assert.equal(session.usage.transcriptionSeconds, 10);
+  assert.deepEqual(session.usage.tokens, expected.tokens);
+  assert.equal(session.usage.costUSD.total, expected.costUSD.total);
+  assert.ok(session.usage.costUSD.total > 0);
+
+  // The page completes the interview once end_interview has been handled
+  const completed = await api('POST', `/api/session/${sessionId}/complete`);
+  assert.equal(completed.status, 'completed');
+  assert.equal((await storedSession(sessionId)).status, 'completed');
+  // and a finished interview starts no more realtime calls
+  const token = await fetch(`${appUrl}/token?sessionId=${encodeURIComponent(sessionId)}`);
+  assert.equal(token.status, 409);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeRealtimeEvent, itemText, redactAudioPayloads } from '../public/src/realtimeEvents.js';
+import { isGoodbye } from '../public/src/interviewGuardrails.js';
+
+// Event logs in the shape window.downloadEvents() saves from the interview page, each with the
+// normalized events it should produce. UPDATE_FIXTURES=1 rewrites the expected files; review
+// the diff before committing it.
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'evtlog');
+
+function normalizeLog(name) {
+  const log = JSON.parse(fs.readFileSync(path.join(fixturesDir, `${name}.json`), 'utf8'));
+  return log.flatMap((entry, index) => normalizeRealtimeEvent(entry.event).map(event => ({ index, ...event })));
+}
+
+function assertMatchesExpected(name, normalized) {
+  const expectedPath = path.join(fixturesDir, `${name}.expected.json`);
+  if (process.env.UPDATE_FIXTURES === '1') {
+    fs.writeFileSync(expectedPath, `${JSON.stringify(normalized, null, 2)}\n`);
+  }
+  assert.deepEqual(normalized, JSON.parse(fs.readFileSync(expectedPath, 'utf8')));
+}
+
+const ofKind = (events, kind) => events.filter(event => event.kind === kind);
+const functionCalls = (events, name) => ofKind(events, 'output_item')
+  .filter(event => event.stage === 'done' && event.item.type === 'function_call' && event.item.name === name);
+
+test('double goodbye: both goodbyes and the single end_interview call come through', () => {
+  const events = normalizeLog('double-goodbye');
+  assertMatchesExpected('double-goodbye', events);
+
+  const spoken = ofKind(events, 'assistant_transcript_done');
+  assert.equal(spoken.length, 2);
+  assert.ok(spoken.every(event => isGoodbye(event.text)));
+  const [endCall] = functionCalls(events, 'end_interview');
+  assert.equal(functionCalls(events, 'end_interview').length, 1);
+  assert.equal(endCall.item.arguments, '{"reason":"Interview completed"}');
+  // The second goodbye is a new response after the tool call, not part of the first
+  assert.ok(spoken[1].index > endCall.index);
+  assert.notEqual(spoken[1].responseId, spoken[0].responseId);
+  assert.deepEqual(ofKind(events, 'response_done').map(event => event.usage.output_tokens), [220, 220]);
+});
+
+test('missed end_interview: beta event names normalize like GA ones and no call is reported', () => {
+  const events = normalizeLog('missed-end-interview');
+  assertMatchesExpected('missed-end-interview', events);
+
+  assert.equal(ofKind(events, 'session')[0].model, 'gpt-4o-realtime-preview-2024-12-17');
+  assert.deepEqual(ofKind(events, 'item').map(event => [event.itemId, event.role]), [['item_U7', 'user'], ['item_A7', 'assistant']]);
+  const deltas = ofKind(events, 'assistant_transcript_delta');
+  const [done] = ofKind(events, 'assistant_transcript_done');
+  assert.equal(deltas.map(event => event.delta).join(''), done.text);
+  assert.ok(isGoodbye(done.text));
+  assert.equal(ofKind(events, 'output_item').filter(event => event.item.type === 'function_call').length, 0);
+  assert.equal(itemText(ofKind(events, 'response_done')[0].response.output[0]), done.text);
+});
+
+test('dropped transcription: only the turn that completed gets a final user transcript', () => {
+  const events = normalizeLog('dropped-transcription');
+  assertMatchesExpected('dropped-transcription', events);
+
+  assert.deepEqual(ofKind(events, 'speech_committed').map(event => event.itemId), ['item_U2', 'item_U3', 'item_U4']);
+  // A failed transcription normalizes to nothing; the committed turn simply never gets text
+  assert.deepEqual(ofKind(events, 'user_transcript_done').map(event => [event.itemId, event.text]),
+    [['item_U4', 'We traced it to a connection pool leak and fixed it with a timeout.']]);
+  assert.deepEqual(ofKind(events, 'user_transcript_delta').map(event => event.itemId), ['item_U3', 'item_U3']);
+  assert.equal(functionCalls(events, 'record_primary_question').length, 1);
+});
+
+test('Azure transcripts on input_audio_buffer.committed become a user transcript first', () => {
+  const events = normalizeRealtimeEvent({
+    type: 'input_audio_buffer.committed',
+    item_id: 'item_Z1',
+    previous_item_id: 'item_Z0',
+    transcript: 'Hello there',
+    usage: { total_tokens: 9 }
+  });
+  assert.deepEqual(events.map(event => event.kind), ['user_transcript_done', 'speech_committed']);
+  assert.equal(events[0].text, 'Hello there');
+});
+
+test('redactAudioPayloads replaces audio deltas and item audio without touching the original', () => {
+  const delta = { type: 'response.output_audio.delta', delta: 'QUJDRA==' };
+  assert.equal(redactAudioPayloads(delta).delta, '[audio redacted: 8 base64 chars]');
+  assert.equal(delta.delta, 'QUJDRA==');
+  const item = { type: 'conversation.item.added', item: { content: [{ type: 'input_audio', audio: 'AAAA', transcript: 'hi' }] } };
+  assert.deepEqual(redactAudioPayloads(item).item.content[0], { type: 'input_audio', audio: '[audio redacted: 4 base64 chars]', transcript: 'hi' });
+});
+
+test('unknown and malformed events normalize to nothing', () => {
+  assert.deepEqual(normalizeRealtimeEvent({ type: 'rate_limits.updated' }), []);
+  assert.deepEqual(normalizeRealtimeEvent(null), []);
+  assert.deepEqual(normalizeRealtimeEvent({ type: 'conversation.item.added' }), []);
+});
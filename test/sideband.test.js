@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocketServer } from 'ws';
+import { createSideband } from '../server/sideband.js';
+import { createRealtimeProviders } from '../server/realtimeProviders.js';
+
+// A local stand-in for the provider's realtime endpoint. The OpenAI provider's sideband URL
+// override points the sideband at it. Handshakes wait until releaseHandshake() is called, so a
+// test can look at the sideband while its socket is still connecting.
+async function startStandIn() {
+  const handshakes = [];
+  const sockets = [];
+  const server = new WebSocketServer({
+    host: '127.0.0.1',
+    port: 0,
+    verifyClient: (info, done) => handshakes.push({ request: info.req, done })
+  });
+  server.on('connection', (socket) => {
+    socket.received = [];
+    socket.on('message', data => socket.received.push(JSON.parse(data.toString())));
+    sockets.push(socket);
+  });
+  await new Promise(resolve => server.once('listening', resolve));
+  const providers = createRealtimeProviders({
+    openai: { apiKey: 'sk-test', sidebandUrl: `ws://127.0.0.1:${server.address().port}/v1/realtime` }
+  });
+  return {
+    server,
+    handshakes,
+    sockets,
+    target: (callId) => providers.get('openai').sidebandTarget(callId),
+    releaseHandshake: () => handshakes.shift().done(true),
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.terminate());
+      server.close(resolve);
+    })
+  };
+}
+
+async function waitFor(check, what) {
+  const deadline = Date.now() + 2000;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function recordingSideband(overrides = {}) {
+  const calls = { tools: [], transcript: [], usage: [], closed: [] };
+  const sideband = createSideband({
+    runTool: async (sessionId, call) => {
+      calls.tools.push({ sessionId, ...call });
+      return 'Noted';
+    },
+    onTranscriptItem: (sessionId, item) => calls.transcript.push(item),
+    onUsage: (sessionId, usage) => calls.usage.push(usage),
+    onClose: (sessionId, details) => calls.closed.push({ sessionId, ...details }),
+    ...overrides
+  });
+  return { sideband, calls };
+}
+
+test('a sideband only reports attached once its socket is open', async (t) => {
+  const standIn = await startStandIn();
+  t.after(standIn.close);
+  const { sideband } = recordingSideband();
+
+  sideband.attach('s1', 'call_1', standIn.target('call_1'));
+  await waitFor(() => standIn.handshakes.length === 1, 'the handshake');
+  const { request } = standIn.handshakes[0];
+  assert.equal(new URL(request.url, 'ws://localhost').searchParams.get('call_id'), 'call_1');
+  assert.equal(request.headers.authorization, 'Bearer sk-test');
+  assert.equal(sideband.isAttached('s1'), false);
+
+  standIn.releaseHandshake();
+  await waitFor(() => sideband.isAttached('s1'), 'the sideband to attach');
+  sideband.detach('s1');
+  assert.equal(sideband.isAttached('s1'), false);
+});
+
+test('tool calls over the sideband run once and are answered with their output', async (t) => {
+  const standIn = await startStandIn();
+  t.after(standIn.close);
+  const { sideband, calls } = recordingSideband();
+
+  sideband.attach('s1', 'call_1', standIn.target('call_1'));
+  await waitFor(() => standIn.handshakes.length === 1, 'the handshake');
+  standIn.releaseHandshake();
+  await waitFor(() => sideband.isAttached('s1'), 'the sideband to attach');
+
+  const [socket] = standIn.sockets;
+  const question = { id: 'item_A1', type: 'message', role: 'assistant', status: 'completed', content: [] };
+  const toolCall = {
+    id: 'item_F1',
+    type: 'function_call',
+    status: 'completed',
+    name: 'record_primary_question',
+    call_id: 'fc_1',
+    arguments: '{"question":"Tell me about a hard bug.","competency":"General"}'
+  };
+  [
+    { type: 'session.created', session: { model: 'gpt-realtime' } },
+    { type: 'response.output_item.done', response_id: 'resp_1', item: question },
+    { type: 'response.output_audio_transcript.done', item_id: 'item_A1', response_id: 'resp_1', transcript: 'Tell me about a hard bug.' },
+    { type: 'response.output_item.done', response_id: 'resp_1', item: toolCall },
+    { type: 'response.output_item.done', response_id: 'resp_1', item: toolCall },
+    { type: 'response.done', response: { id: 'resp_1', status: 'completed', output: [], usage: { total_tokens: 42 } } }
+  ].forEach(event => socket.send(JSON.stringify(event)));
+
+  await waitFor(() => socket.received.length === 1, 'the tool output');
+  assert.deepEqual(socket.received[0], {
+    type: 'conversation.item.create',
+    item: { type: 'function_call_output', call_id: 'fc_1', output: 'Noted' }
+  });
+  assert.equal(calls.tools.length, 1);
+  assert.deepEqual(calls.tools[0].args, { question: 'Tell me about a hard bug.', competency: 'General' });
+  assert.equal(calls.tools[0].spokenItemId, 'item_A1');
+  assert.deepEqual(calls.transcript.map(item => [item.item_id, item.role, item.text]),
+    [['item_A1', 'assistant', 'Tell me about a hard bug.']]);
+  assert.deepEqual(calls.usage, [{ kind: 'response', id: 'resp_1', model: 'gpt-realtime', usage: { total_tokens: 42 } }]);
+  sideband.detach('s1');
+});
+
+test('a sideband stops reporting attached when the call closes it', async (t) => {
+  const standIn = await startStandIn();
+  t.after(standIn.close);
+  const { sideband, calls } = recordingSideband();
+
+  sideband.attach('s1', 'call_1', standIn.target('call_1'));
+  await waitFor(() => standIn.handshakes.length === 1, 'the handshake');
+  standIn.releaseHandshake();
+  await waitFor(() => sideband.isAttached('s1'), 'the sideband to attach');
+
+  standIn.sockets[0].close(1000);
+  await waitFor(() => calls.closed.length === 1, 'the close');
+  assert.equal(sideband.isAttached('s1'), false);
+  assert.deepEqual(calls.closed[0], { sessionId: 's1', callId: 'call_1', code: 1000 });
+});
+
+test('a sideband that cannot connect never reports attached', async (t) => {
+  const standIn = await startStandIn();
+  t.after(standIn.close);
+  const { sideband, calls } = recordingSideband();
+
+  // The stand-in refuses the handshake, as a provider does for an unknown call
+  sideband.attach('s1', 'call_gone', standIn.target('call_gone'));
+  await waitFor(() => standIn.handshakes.length === 1, 'the handshake');
+  standIn.handshakes.shift().done(false, 404);
+  await waitFor(() => calls.closed.length === 1, 'the failed connection to close');
+  assert.equal(sideband.isAttached('s1'), false);
+});